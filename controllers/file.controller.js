@@ -8,6 +8,8 @@ import { DateTime } from 'luxon';
 import { generateHMAC, verifyHmac } from "../crypto/hmac.js";
 import { hkdf, pbkdf2 } from "../crypto/hkdf.js";
 import redis from "../redis/client.js";
+import { getRoomVerifier } from "../utils/verifier.js";
+import { resolveEpoch } from "../utils/epochs.js";
 
 dotenv.config();
 
@@ -108,7 +110,7 @@ export const uploadImage = async (req, res) => {
       });
     }
 
-    const { roomHash, hmac, iv, authTag, fileName, fileSize } = req.body;
+    const { roomHash, hmac, iv, authTag, fileName, fileSize, epoch: requestedEpoch } = req.body;
 
     if (!req.file || !roomHash || !hmac || !iv || !authTag) {
       console.log("Missing parameters");
@@ -132,8 +134,6 @@ export const uploadImage = async (req, res) => {
     const room = JSON.parse(roomData);
     const now = DateTime.now();
 
-    console.log("Room data:", room); // Debug: check room data
-
     if (now > room.expiry_timestamp) {
       return res.status(410).json({
         success: false,
@@ -141,15 +141,24 @@ export const uploadImage = async (req, res) => {
       });
     }
 
-    // Verify HMAC using derived key from room code and salt
-    if (!room.room_code) {
-      console.log("Room code not found in room data - room was created before code storage was added");
+    // Key epoch the file was encrypted under (current epoch if not given)
+    const epoch = resolveEpoch(room, requestedEpoch);
+    if (epoch === null) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_EPOCH"
+      });
+    }
+
+    // Verify HMAC using the room's registered verifier (legacy rooms are migrated here)
+    const derivedKey = await getRoomVerifier(roomHash, room, epoch);
+    if (!derivedKey) {
+      console.log(`No room verifier for key epoch ${epoch} in room ${roomHash}`);
       return res.status(500).json({
         success: false,
-        error: "ROOM_CODE_MISSING"
+        error: "ROOM_VERIFIER_MISSING"
       });
     }
-    const derivedKey = pbkdf2(room.room_code, Buffer.from(room.room_salt, 'base64'));
 
     // Construct message data the same way as frontend: base64(ciphertext) + base64(iv) + base64(authTag)
     const ciphertextBase64 = req.file.buffer.toString('base64');
@@ -199,6 +208,7 @@ export const uploadImage = async (req, res) => {
       s3Key: s3Key,
       iv,
       authTag,
+      epoch,
     };
 
     console.log("Storing metadata:", fileMetadata);
@@ -212,6 +222,7 @@ export const uploadImage = async (req, res) => {
     res.json({
       success: true,
       fileId,
+      epoch,
       message: "File uploaded successfully"
     });
 
@@ -301,6 +312,7 @@ export const downloadFile = async (req, res) => {
     res.setHeader('X-File-IV', metadata.iv);
     res.setHeader('X-File-AuthTag', metadata.authTag);
     res.setHeader('X-File-FileName', metadata.fileName);
+    res.setHeader('X-File-Epoch', metadata.epoch ?? 0);
 
     // Stream the file
     response.Body.pipe(res);
@@ -365,4 +377,31 @@ export const cleanupRoomFiles = async (roomHash) => {
   } catch (error) {
     console.error("Cleanup error:", error);
   }
+};
+
+/**
+ * Delete a single file's S3 object and metadata, e.g. when its message expires
+ * @param {string} roomHash
+ * @param {string} fileId
+ */
+export const deleteRoomFile = async (roomHash, fileId) => {
+  try {
+    const fileKey = `file:${roomHash}:${fileId}`;
+    const fileData = await redis.get(fileKey);
+    if (!fileData) return;
+
+    if (s3Client && BUCKET_NAME) {
+      const { s3Key } = JSON.parse(fileData);
+      await s3Client.send(new DeleteObjectsCommand({
+        Bucket: BUCKET_NAME,
+        Delete: {
+          Objects: [{ Key: s3Key }],
+        },
+      }));
+    }
+
+    await redis.del(fileKey);
+  } catch (error) {
+    console.error("File delete error:", error);
+  }
 };
\ No newline at end of file
@@ -1,6 +1,26 @@
 import { isKeyValid } from "../utils/validate.js";
 import redis from "../redis/client.js";
 import crypto from "crypto";
+import { deleteRoomFile } from "./file.controller.js";
+import { broadcastToRoom, publishRoomEvent, onRoomEvent } from "../utils/broadcast.js";
+import { markOnline, markOffline } from "../utils/presence.js";
+import { admitMember } from "../utils/members.js";
+import { reserveAttempt, releaseAttempt, recordFailedAttempt } from "../utils/throttle.js";
+import { redeemSessionToken } from "../utils/session.js";
+import { resolveEpoch } from "../utils/epochs.js";
+import { getRoomVerifier } from "../utils/verifier.js";
+import { verifyHmac } from "../crypto/hmac.js";
+import { RECEIPT_KINDS, advanceReceipt } from "../utils/receipts.js";
+import {
+  storeMessage,
+  findMessage,
+  updateMessage,
+  removeMessage,
+  toggleReaction,
+  pinMessage,
+  unpinMessage,
+  claimExpiredMessages,
+} from "../utils/message-store.js";
 
 /**
  * Helper function to decode base64
@@ -9,6 +29,58 @@ function base64Decode(str) {
   return Buffer.from(str, 'base64');
 }
 
+/**
+ * Shape check for an AES-GCM payload (12-byte IV, 16-byte tag, non-empty ciphertext)
+ * The backend never decrypts; this only rejects malformed frames early
+ */
+function hasValidCryptoParams({ ciphertext, iv, authTag, hmac }) {
+  try {
+    const ivBuf = base64Decode(iv);
+    const authTagBuf = base64Decode(authTag);
+    const ciphertextBuf = base64Decode(ciphertext);
+
+    if (ivBuf.length !== 12 || authTagBuf.length !== 16 || ciphertextBuf.length === 0) {
+      return false;
+    }
+
+    base64Decode(hmac);
+    return true;
+  } catch (cryptoError) {
+    return false;
+  }
+}
+
+/**
+ * Check a frame's HMAC with the room verifier of its key epoch
+ * Wire format: hmac = base64(HMAC-SHA256(verifier, ciphertext + iv + authTag)),
+ * where ciphertext, iv and authTag are the frame's base64 strings as sent.
+ * Same input as uploadImage, but uploadImage takes its hmac as hex.
+ * Content is never decrypted
+ */
+async function hasValidHmac(roomHash, roomData, epoch, { ciphertext, iv, authTag, hmac }) {
+  const verifier = await getRoomVerifier(roomHash, roomData, epoch);
+  if (!verifier) return false;
+  return verifyHmac(verifier, `${ciphertext}${iv}${authTag}`, hmac, "base64");
+}
+
+// Prior encrypted versions kept per edited message
+const MAX_REVISIONS = 10;
+
+// Reactions are opaque (usually encrypted) strings; cap their size
+const MAX_REACTION_LENGTH = 512;
+
+// Ephemeral activity signals: relayed to the rest of the room, never stored, no msgId.
+// Each start signal is ended by the server if the client doesn't stop it in time.
+const ACTIVITY_SIGNALS = {
+  typing_start: "typing_stop",
+  recording_audio: "recording_stop",
+};
+const ACTIVITY_STOP_SIGNALS = new Set(Object.values(ACTIVITY_SIGNALS));
+const ACTIVITY_TIMEOUT = 10 * 1000; // 10 seconds
+
+// "<roomHash>|<senderId>|<stop type>" -> pending timeout
+const activityTimers = new Map();
+
 // Cache for room data to avoid Redis lookups on every message
 // { roomHash -> { roomData, expiresAt } }
 const roomCache = new Map();
@@ -30,9 +102,188 @@ function setCachedRoom(roomHash, roomData) {
   });
 }
 
+/**
+ * Drop a room from the cache after its metadata changes, on every instance
+ * @param {string} roomHash
+ */
+export function invalidateRoomCache(roomHash) {
+  roomCache.delete(roomHash);
+  publishRoomEvent({ type: "invalidate_room", roomHash });
+}
+
+onRoomEvent("invalidate_room", ({ roomHash }) => {
+  roomCache.delete(roomHash);
+});
+
+/**
+ * Gate every frame that relays, stores or subscribes a socket to a room
+ * Banned senders are refused outright; new senders need a free member slot.
+ * Passphrases are checked before a session token is issued, so there is
+ * nothing left to check for them here
+ * @returns {Promise<string|null>} error code, or null if the sender may proceed
+ */
+async function checkAccess(ws, roomHash, senderId, roomData) {
+  const isBanned = await redis.sismember(`room:${roomHash}:banned`, senderId);
+  if (isBanned) return "BANNED";
+
+  if (ws.joinedRooms?.get(roomHash) === senderId) return null;
+
+  const status = await admitMember(roomHash, senderId, roomData);
+  if (status === "full") return "ROOM_FULL";
+  if (status === "locked") return "ROOM_LOCKED";
+  return null;
+}
+
+/**
+ * Resolve how long a message lives: the frame's own ttl, else the room's
+ * disappearing-messages default, else as long as the room
+ * @returns {number|null|undefined} seconds, null for no expiry, undefined if invalid
+ */
+function resolveMessageTtl(data, roomData) {
+  if (data.ttl === undefined || data.ttl === null) {
+    return roomData.disappearing_ttl ?? null;
+  }
+  if (!Number.isInteger(data.ttl) || data.ttl <= 0) return undefined;
+  return data.ttl;
+}
+
+/**
+ * Check a message's replyTo/threadId point at live messages in the same room
+ * Threads are flat: threadId is the msgId of the thread's first message,
+ * which can't itself be part of another thread
+ * @returns {Promise<string|null>} error code, or null if the references are fine
+ */
+async function checkMessageReferences(roomHash, data) {
+  const { replyTo, threadId } = data;
+
+  for (const ref of [replyTo, threadId]) {
+    if (ref !== undefined && ref !== null && (typeof ref !== 'string' || !ref)) {
+      return "INVALID_PAYLOAD";
+    }
+  }
+
+  if (replyTo) {
+    const target = await findMessage(roomHash, replyTo);
+    if (!target || target.deleted) return "REPLY_TARGET_NOT_FOUND";
+  }
+
+  if (threadId) {
+    const root = await findMessage(roomHash, threadId);
+    if (!root || root.deleted) return "THREAD_NOT_FOUND";
+    if (root.threadId) return "INVALID_THREAD";
+  }
+
+  return null;
+}
+
+const EXPIRY_SWEEP_INTERVAL = 5 * 1000; // 5 seconds
+
+/**
+ * Purge disappearing messages when their time is up and tell the room
+ * @param {Map<string, Set<WebSocket>>} roomClients
+ */
+export function startMessageExpiry(roomClients) {
+  setInterval(async () => {
+    try {
+      const expired = await claimExpiredMessages();
+      for (const { roomHash, msgId } of expired) {
+        const removed = await removeMessage(roomHash, msgId);
+        // An expired image or file must stop being downloadable too
+        if (removed?.imageId || removed?.fileId) {
+          await deleteRoomFile(roomHash, removed.imageId || removed.fileId);
+        }
+        broadcastToRoom(roomClients, roomHash, {
+          type: "message_expired",
+          roomHash,
+          msgId,
+        });
+      }
+    } catch (err) {
+      console.error("Message expiry sweep error:", err.message);
+    }
+  }, EXPIRY_SWEEP_INTERVAL);
+}
+
+/**
+ * Relay an activity signal and (re)arm or clear its server-side timeout
+ */
+function relayActivity(ws, roomClients, roomHash, senderId, type) {
+  const stopType = ACTIVITY_SIGNALS[type] || type;
+  const timerKey = `${roomHash}|${senderId}|${stopType}`;
+
+  clearTimeout(activityTimers.get(timerKey));
+  activityTimers.delete(timerKey);
+
+  if (ACTIVITY_SIGNALS[type]) {
+    activityTimers.set(timerKey, setTimeout(() => {
+      activityTimers.delete(timerKey);
+      broadcastToRoom(roomClients, roomHash, {
+        type: stopType,
+        roomHash,
+        senderId,
+        timedOut: true,
+      }, { exclude: ws });
+    }, ACTIVITY_TIMEOUT));
+  }
+
+  broadcastToRoom(roomClients, roomHash, { type, roomHash, senderId }, { exclude: ws });
+}
+
+/**
+ * End any activity a sender still has running in a room (socket closed)
+ */
+function stopActivities(roomClients, roomHash, senderId) {
+  for (const stopType of ACTIVITY_STOP_SIGNALS) {
+    const timerKey = `${roomHash}|${senderId}|${stopType}`;
+    if (!activityTimers.has(timerKey)) continue;
+
+    clearTimeout(activityTimers.get(timerKey));
+    activityTimers.delete(timerKey);
+    broadcastToRoom(roomClients, roomHash, { type: stopType, roomHash, senderId });
+  }
+}
+
+/**
+ * Release a member's presence and tell the room if it was their last socket
+ */
+async function announceOffline(roomClients, roomHash, senderId) {
+  const isLastSocket = await markOffline(roomHash, senderId);
+  if (isLastSocket) {
+    broadcastToRoom(roomClients, roomHash, {
+      type: "member_left",
+      roomHash,
+      senderId,
+    });
+  }
+}
+
+/**
+ * Handle a closed socket: drop it from every room and release its presence
+ */
+export async function handleDisconnect(ws, roomClients) {
+  for (const [roomHash, clients] of roomClients) {
+    clients.delete(ws);
+    if (clients.size === 0) {
+      roomClients.delete(roomHash);
+    }
+  }
+
+  if (!ws.joinedRooms) return;
+
+  for (const [roomHash, senderId] of ws.joinedRooms) {
+    stopActivities(roomClients, roomHash, senderId);
+    try {
+      await announceOffline(roomClients, roomHash, senderId);
+    } catch (err) {
+      console.error("Presence release error:", err.message);
+    }
+  }
+  ws.joinedRooms.clear();
+}
+
 /**
  * Handle encrypted message (relay-only)
- * Backend NEVER decrypts or verifies crypto
+ * Backend NEVER decrypts; it only checks frame HMACs against the room verifier
  */
 export async function handleMessage(ws, data, wss, roomClients) {
   try {
@@ -54,15 +305,40 @@ export async function handleMessage(ws, data, wss, roomClients) {
 
     // ═══════════════════════════════════════════════════════════════
     // HANDLE ROOM JOIN (clients send this on initial connection)
+    // The session token from /room/join or /room/redeem binds the socket to one
+    // room and one senderId; passphrase, ban and lock checks ran when it was issued
     // ═══════════════════════════════════════════════════════════════
     if (data.type === 'join_room') {
-      const { roomHash, senderId } = data;
+      const { sessionToken } = data;
 
-      if (!roomHash || !senderId) {
+      if (!sessionToken) {
         ws.send(JSON.stringify({ success: false, error: "INVALID_PAYLOAD" }));
         return;
       }
 
+      const retryAfter = await reserveAttempt(ws.clientAddress);
+      if (retryAfter > 0) {
+        ws.send(JSON.stringify({ success: false, error: "TOO_MANY_ATTEMPTS", retryAfter }));
+        return;
+      }
+
+      const session = await redeemSessionToken(sessionToken);
+      if (!session) {
+        await recordFailedAttempt();
+        ws.send(JSON.stringify({ success: false, error: "INVALID_SESSION" }));
+        return;
+      }
+      await releaseAttempt(ws.clientAddress);
+
+      // A socket speaks for one member of one room for its whole life
+      if (ws.session &&
+        (ws.session.roomHash !== session.roomHash || ws.session.senderId !== session.senderId)) {
+        ws.send(JSON.stringify({ success: false, error: "SESSION_ALREADY_BOUND" }));
+        return;
+      }
+
+      const { roomHash, senderId } = session;
+
       // Fast path: check cache first
       let roomData = getCachedRoom(roomHash);
       
@@ -78,6 +354,15 @@ export async function handleMessage(ws, data, wss, roomClients) {
         setCachedRoom(roomHash, roomData);
       }
 
+      // Enforce bans and the room's member cap before the socket can see anything
+      const accessError = await checkAccess(ws, roomHash, senderId, roomData);
+      if (accessError) {
+        ws.send(JSON.stringify({ success: false, error: accessError }));
+        return;
+      }
+
+      ws.session = session;
+
       // Add client to room
       if (!roomClients.has(roomHash)) {
         roomClients.set(roomHash, new Set());
@@ -85,7 +370,48 @@ export async function handleMessage(ws, data, wss, roomClients) {
       roomClients.get(roomHash).add(ws);
 
       // ACK immediately (no detailed logging in hot path)
-      ws.send(JSON.stringify({ success: true }));
+      ws.send(JSON.stringify({ success: true, roomHash, senderId }));
+
+      // ---- Presence: one entry per socket, announced on a member's first socket ----
+      if (ws.joinedRooms) {
+        return;
+      }
+      ws.joinedRooms = new Map([[roomHash, senderId]]);
+
+      const isFirstSocket = await markOnline(roomHash, senderId);
+      if (isFirstSocket) {
+        broadcastToRoom(roomClients, roomHash, {
+          type: "member_joined",
+          roomHash,
+          senderId,
+        });
+      }
+      return;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // Every other frame speaks for the socket's session: frames may omit
+    // roomHash/senderId, but can't name another room or member
+    // ═══════════════════════════════════════════════════════════════
+    if (!ws.session) {
+      ws.send(JSON.stringify({ success: false, error: "SESSION_REQUIRED" }));
+      return;
+    }
+
+    if ((data.roomHash && data.roomHash !== ws.session.roomHash) ||
+      (data.senderId && data.senderId !== ws.session.senderId)) {
+      ws.send(JSON.stringify({ success: false, error: "SESSION_MISMATCH" }));
+      return;
+    }
+
+    data = { ...data, roomHash: ws.session.roomHash, senderId: ws.session.senderId };
+
+    // Handle ephemeral activity signals (typing, recording)
+    // Hot path: no Redis, no storage, no ACK - the session already vouches for the sender
+    if (ACTIVITY_SIGNALS[data.type] || ACTIVITY_STOP_SIGNALS.has(data.type)) {
+      const { roomHash, senderId } = data;
+
+      relayActivity(ws, roomClients, roomHash, senderId, data.type);
       return;
     }
 
@@ -112,52 +438,68 @@ export async function handleMessage(ws, data, wss, roomClients) {
         setCachedRoom(roomHash, roomData);
       }
 
-      // Add client to room if not already
-      if (!roomClients.has(roomHash)) {
-        roomClients.set(roomHash, new Set());
+      const accessError = await checkAccess(ws, roomHash, senderId, roomData);
+      if (accessError) {
+        ws.send(JSON.stringify({ success: false, error: accessError }));
+        return;
       }
-      roomClients.get(roomHash).add(ws);
 
-      // Broadcast immediately
-      const roomClientsSet = roomClients.get(roomHash);
-      if (roomClientsSet) {
-        const broadcast = JSON.stringify({
-          type,
-          roomHash,
-          imageId,
-          fileId,
-          fileName,
-          senderId,
-        });
-        roomClientsSet.forEach(client => {
-          if (client.readyState === 1) {
-            client.send(broadcast);
-          }
-        });
+      // Key epoch the file was encrypted under (current epoch if not given)
+      const epoch = resolveEpoch(roomData, data.epoch);
+      if (epoch === null) {
+        ws.send(JSON.stringify({ success: false, error: "INVALID_EPOCH" }));
+        return;
+      }
+
+      const ttl = resolveMessageTtl(data, roomData);
+      if (ttl === undefined) {
+        ws.send(JSON.stringify({ success: false, error: "INVALID_TTL" }));
+        return;
+      }
+
+      const referenceError = await checkMessageReferences(roomHash, data);
+      if (referenceError) {
+        ws.send(JSON.stringify({ success: false, error: referenceError }));
+        return;
       }
+      const { replyTo, threadId } = data;
+
+      const msgId = crypto.randomUUID();
+      const createdAt = Date.now();
+      const expiresAt = ttl ? createdAt + ttl * 1000 : undefined;
+
+      // Broadcast immediately
+      broadcastToRoom(roomClients, roomHash, {
+        type,
+        roomHash,
+        imageId,
+        fileId,
+        fileName,
+        senderId,
+        epoch,
+        msgId,
+        replyTo,
+        threadId,
+        expiresAt,
+      });
 
       // Store asynchronously (fire and forget for latency)
-      (async () => {
-        const msgId = crypto.randomUUID();
-        const messagesKey = `room:${roomHash}:messages`;
-        const messageData = {
-          msgId,
-          type,
-          imageId,
-          fileId,
-          fileName,
-          senderId,
-          createdAt: Date.now(),
-        };
-        await redis.lpush(messagesKey, JSON.stringify(messageData));
-        const roomTtl = await redis.ttl(`room:${roomHash}`);
-        if (roomTtl > 0) {
-          await redis.expire(messagesKey, roomTtl);
-        }
-      })();
+      storeMessage(roomHash, {
+        msgId,
+        type,
+        imageId,
+        fileId,
+        fileName,
+        senderId,
+        epoch,
+        replyTo,
+        threadId,
+        createdAt,
+        expiresAt,
+      }).catch(err => console.error("Store file message error:", err.message));
 
       // ACK sender immediately
-      ws.send(JSON.stringify({ success: true }));
+      ws.send(JSON.stringify({ success: true, msgId }));
       return;
     }
 
@@ -183,43 +525,287 @@ export async function handleMessage(ws, data, wss, roomClients) {
         setCachedRoom(roomHash, roomData);
       }
 
-      // Add client to room if not already
-      if (!roomClients.has(roomHash)) {
-        roomClients.set(roomHash, new Set());
+      const accessError = await checkAccess(ws, roomHash, senderId, roomData);
+      if (accessError) {
+        ws.send(JSON.stringify({ success: false, error: accessError }));
+        return;
       }
-      roomClients.get(roomHash).add(ws);
 
-      // Broadcast delete immediately
-      const roomClientsSet = roomClients.get(roomHash);
-      if (roomClientsSet) {
-        const broadcast = JSON.stringify({
-          type: 'delete_message',
-          messageId,
-          senderId,
-        });
-        roomClientsSet.forEach(client => {
-          if (client.readyState === 1) {
-            client.send(broadcast);
-          }
+      // Checked before broadcasting: only the sender can delete, and a rejected
+      // delete must never reach other members
+      const { error } = await updateMessage(roomHash, messageId, (message) => {
+        if (message.senderId !== senderId) return "NOT_MESSAGE_OWNER";
+        message.deleted = true;
+      });
+
+      if (error) {
+        ws.send(JSON.stringify({ success: false, error }));
+        return;
+      }
+
+      broadcastToRoom(roomClients, roomHash, {
+        type: 'delete_message',
+        messageId,
+        senderId,
+      });
+
+      ws.send(JSON.stringify({ success: true, messageId }));
+      return;
+    }
+
+    // Handle message edits (original sender only)
+    if (data.type === 'edit_message') {
+      const { roomHash, messageId, senderId, ciphertext, iv, authTag, hmac } = data;
+
+      if (!roomHash || !messageId || !senderId || !ciphertext || !iv || !authTag || !hmac) {
+        ws.send(JSON.stringify({ success: false, error: "INVALID_PAYLOAD" }));
+        return;
+      }
+
+      if (!hasValidCryptoParams(data)) {
+        ws.send(JSON.stringify({ success: false, error: "INVALID_CRYPTO_PARAMETERS" }));
+        return;
+      }
+
+      // Fast path: check cache
+      let roomData = getCachedRoom(roomHash);
+      if (!roomData) {
+        const roomKey = `room:${roomHash}`;
+        const roomDataStr = await redis.get(roomKey);
+        if (!roomDataStr) {
+          ws.send(JSON.stringify({ success: false, error: "ROOM_INVALID" }));
+          return;
+        }
+        roomData = JSON.parse(roomDataStr);
+        setCachedRoom(roomHash, roomData);
+      }
+
+      const accessError = await checkAccess(ws, roomHash, senderId, roomData);
+      if (accessError) {
+        ws.send(JSON.stringify({ success: false, error: accessError }));
+        return;
+      }
+
+      const epoch = resolveEpoch(roomData, data.epoch);
+      if (epoch === null) {
+        ws.send(JSON.stringify({ success: false, error: "INVALID_EPOCH" }));
+        return;
+      }
+
+      if (!await hasValidHmac(roomHash, roomData, epoch, data)) {
+        ws.send(JSON.stringify({ success: false, error: "INVALID_HMAC" }));
+        return;
+      }
+
+      // Checked before broadcasting: a rejected edit must never reach other members
+      const editedAt = Date.now();
+      const { error } = await updateMessage(roomHash, messageId, (message) => {
+        if (message.senderId !== senderId) return "NOT_MESSAGE_OWNER";
+        if (message.deleted) return "MESSAGE_DELETED";
+        if (!message.ciphertext) return "MESSAGE_NOT_EDITABLE";
+
+        const revisions = message.revisions || [];
+        revisions.push({
+          ciphertext: message.ciphertext,
+          iv: message.iv,
+          authTag: message.authTag,
+          hmac: message.hmac,
+          epoch: message.epoch,
+          editedAt: message.editedAt ?? message.createdAt,
         });
+        message.revisions = revisions.slice(-MAX_REVISIONS);
+
+        Object.assign(message, { ciphertext, iv, authTag, hmac, epoch, editedAt });
+      });
+
+      if (error) {
+        ws.send(JSON.stringify({ success: false, error }));
+        return;
+      }
+
+      broadcastToRoom(roomClients, roomHash, {
+        type: 'edit_message',
+        roomHash,
+        messageId,
+        senderId,
+        ciphertext,
+        iv,
+        authTag,
+        hmac,
+        epoch,
+        editedAt,
+      });
+
+      ws.send(JSON.stringify({ success: true, messageId, editedAt }));
+      return;
+    }
+
+    // Handle reactions (toggle on/off per sender)
+    if (data.type === 'reaction') {
+      const { roomHash, messageId, senderId, reaction } = data;
+
+      if (!roomHash || !messageId || !senderId || !reaction ||
+        typeof reaction !== 'string' || reaction.length > MAX_REACTION_LENGTH) {
+        ws.send(JSON.stringify({ success: false, error: "INVALID_PAYLOAD" }));
+        return;
       }
 
-      // Store deletion asynchronously (fire and forget)
-      (async () => {
-        const messagesKey = `room:${roomHash}:messages`;
-        const messages = await redis.lrange(messagesKey, 0, -1);
-        for (let i = 0; i < messages.length; i++) {
-          const msgData = JSON.parse(messages[i]);
-          if (msgData.msgId === messageId && msgData.senderId === senderId) {
-            msgData.deleted = true;
-            await redis.lset(messagesKey, i, JSON.stringify(msgData));
-            break;
-          }
+      // Fast path: check cache
+      let roomData = getCachedRoom(roomHash);
+      if (!roomData) {
+        const roomKey = `room:${roomHash}`;
+        const roomDataStr = await redis.get(roomKey);
+        if (!roomDataStr) {
+          ws.send(JSON.stringify({ success: false, error: "ROOM_INVALID" }));
+          return;
         }
-      })();
+        roomData = JSON.parse(roomDataStr);
+        setCachedRoom(roomHash, roomData);
+      }
 
-      // ACK sender immediately
-      ws.send(JSON.stringify({ success: true }));
+      const accessError = await checkAccess(ws, roomHash, senderId, roomData);
+      if (accessError) {
+        ws.send(JSON.stringify({ success: false, error: accessError }));
+        return;
+      }
+
+      const target = await findMessage(roomHash, messageId);
+      if (!target || target.deleted) {
+        ws.send(JSON.stringify({ success: false, error: "MESSAGE_NOT_FOUND" }));
+        return;
+      }
+
+      const active = await toggleReaction(roomHash, messageId, senderId, reaction);
+
+      broadcastToRoom(roomClients, roomHash, {
+        type: 'reaction',
+        roomHash,
+        messageId,
+        senderId,
+        reaction,
+        active,
+      });
+
+      ws.send(JSON.stringify({ success: true, messageId, active }));
+      return;
+    }
+
+    // Handle pins (creator only, unless the room lets every member pin)
+    // The creator is the senderId that joined with the creator's creator_secret
+    if (data.type === 'pin_message' || data.type === 'unpin_message') {
+      const { roomHash, messageId, senderId } = data;
+
+      if (!roomHash || !messageId || !senderId) {
+        ws.send(JSON.stringify({ success: false, error: "INVALID_PAYLOAD" }));
+        return;
+      }
+
+      // Fast path: check cache
+      let roomData = getCachedRoom(roomHash);
+      if (!roomData) {
+        const roomKey = `room:${roomHash}`;
+        const roomDataStr = await redis.get(roomKey);
+        if (!roomDataStr) {
+          ws.send(JSON.stringify({ success: false, error: "ROOM_INVALID" }));
+          return;
+        }
+        roomData = JSON.parse(roomDataStr);
+        setCachedRoom(roomHash, roomData);
+      }
+
+      const accessError = await checkAccess(ws, roomHash, senderId, roomData);
+      if (accessError) {
+        ws.send(JSON.stringify({ success: false, error: accessError }));
+        return;
+      }
+
+      if (!roomData.members_can_pin && senderId !== roomData.creator_sender_id) {
+        ws.send(JSON.stringify({ success: false, error: "NOT_CREATOR" }));
+        return;
+      }
+
+      const pinned = data.type === 'pin_message';
+      if (pinned) {
+        const target = await findMessage(roomHash, messageId);
+        if (!target || target.deleted) {
+          ws.send(JSON.stringify({ success: false, error: "MESSAGE_NOT_FOUND" }));
+          return;
+        }
+
+        const status = await pinMessage(roomHash, messageId);
+        if (status === "full") {
+          ws.send(JSON.stringify({ success: false, error: "TOO_MANY_PINS" }));
+          return;
+        }
+        if (status === "already_pinned") {
+          ws.send(JSON.stringify({ success: true, messageId, pinned }));
+          return;
+        }
+      } else if (!(await unpinMessage(roomHash, messageId))) {
+        ws.send(JSON.stringify({ success: false, error: "NOT_PINNED" }));
+        return;
+      }
+
+      broadcastToRoom(roomClients, roomHash, {
+        type: 'pin_updated',
+        roomHash,
+        messageId,
+        senderId,
+        pinned,
+      });
+
+      ws.send(JSON.stringify({ success: true, messageId, pinned }));
+      return;
+    }
+
+    // Handle delivery/read receipts (high-water mark per member)
+    if (RECEIPT_KINDS.includes(data.type)) {
+      const { roomHash, messageId, senderId } = data;
+
+      if (!roomHash || !messageId || !senderId) {
+        ws.send(JSON.stringify({ success: false, error: "INVALID_PAYLOAD" }));
+        return;
+      }
+
+      // Fast path: check cache
+      let roomData = getCachedRoom(roomHash);
+      if (!roomData) {
+        const roomKey = `room:${roomHash}`;
+        const roomDataStr = await redis.get(roomKey);
+        if (!roomDataStr) {
+          ws.send(JSON.stringify({ success: false, error: "ROOM_INVALID" }));
+          return;
+        }
+        roomData = JSON.parse(roomDataStr);
+        setCachedRoom(roomHash, roomData);
+      }
+
+      const accessError = await checkAccess(ws, roomHash, senderId, roomData);
+      if (accessError) {
+        ws.send(JSON.stringify({ success: false, error: accessError }));
+        return;
+      }
+
+      const target = await findMessage(roomHash, messageId);
+      if (!target) {
+        ws.send(JSON.stringify({ success: false, error: "MESSAGE_NOT_FOUND" }));
+        return;
+      }
+
+      const receipt = await advanceReceipt(roomHash, senderId, data.type, target);
+
+      // An older or repeated acknowledgement is fine, there's just nothing to announce
+      if (receipt) {
+        broadcastToRoom(roomClients, roomHash, {
+          type: 'receipt',
+          roomHash,
+          senderId,
+          delivered: receipt.delivered ?? null,
+          read: receipt.read ?? null,
+        });
+      }
+
+      ws.send(JSON.stringify({ success: true, messageId, advanced: Boolean(receipt) }));
       return;
     }
 
@@ -240,21 +826,7 @@ export async function handleMessage(ws, data, wss, roomClients) {
     }
 
     // ---- Validate cryptographic parameters ----
-    try {
-      base64Decode(ciphertext);
-      base64Decode(iv);
-      base64Decode(authTag);
-      
-      const ivBuf = base64Decode(iv);
-      const authTagBuf = base64Decode(authTag);
-      const ciphertextBuf = base64Decode(ciphertext);
-      
-      if (ivBuf.length !== 12 || authTagBuf.length !== 16 || ciphertextBuf.length === 0) {
-        throw new Error("Invalid crypto parameters");
-      }
-      
-      base64Decode(hmac);
-    } catch (cryptoError) {
+    if (!hasValidCryptoParams(data)) {
       ws.send(JSON.stringify({ success: false, error: "INVALID_CRYPTO_PARAMETERS" }));
       return;
     }
@@ -272,27 +844,46 @@ export async function handleMessage(ws, data, wss, roomClients) {
       setCachedRoom(roomHash, roomData);
     }
 
-    // ---- Quick member check (async fire-and-forget) ----
-    const membersKey = `room:${roomHash}:members`;
-    (async () => {
-      const isNewMember = await redis.sadd(membersKey, senderId);
-      if (isNewMember) {
-        const roomTtl = await redis.ttl(`room:${roomHash}`);
-        if (roomTtl > 0) {
-          await redis.expire(membersKey, roomTtl);
-        }
-      }
-    })();
+    // ---- Ban and member check ----
+    const accessError = await checkAccess(ws, roomHash, senderId, roomData);
+    if (accessError) {
+      ws.send(JSON.stringify({ success: false, error: accessError }));
+      return;
+    }
+
+    // ---- Key epoch the message was encrypted under ----
+    const epoch = resolveEpoch(roomData, data.epoch);
+    if (epoch === null) {
+      ws.send(JSON.stringify({ success: false, error: "INVALID_EPOCH" }));
+      return;
+    }
+
+    // ---- Integrity: forged or corrupted frames never reach members or storage ----
+    if (!await hasValidHmac(roomHash, roomData, epoch, data)) {
+      ws.send(JSON.stringify({ success: false, error: "INVALID_HMAC" }));
+      return;
+    }
+
+    // ---- Disappearing messages ----
+    const ttl = resolveMessageTtl(data, roomData);
+    if (ttl === undefined) {
+      ws.send(JSON.stringify({ success: false, error: "INVALID_TTL" }));
+      return;
+    }
 
-    // Add client to room immediately (critical for broadcast)
-    if (!roomClients.has(roomHash)) {
-      roomClients.set(roomHash, new Set());
+    // ---- Reply / thread references must exist in this room ----
+    const referenceError = await checkMessageReferences(roomHash, data);
+    if (referenceError) {
+      ws.send(JSON.stringify({ success: false, error: referenceError }));
+      return;
     }
-    roomClients.get(roomHash).add(ws);
+    const { replyTo, threadId } = data;
 
     // ---- Broadcast encrypted blob IMMEDIATELY to all clients ----
     const msgId = crypto.randomUUID();
-    const broadcastPayload = JSON.stringify({
+    const createdAt = Date.now();
+    const expiresAt = ttl ? createdAt + ttl * 1000 : undefined;
+    broadcastToRoom(roomClients, roomHash, {
       roomHash,
       msgId,
       ciphertext,
@@ -300,35 +891,26 @@ export async function handleMessage(ws, data, wss, roomClients) {
       authTag,
       hmac,
       senderId,
+      epoch,
+      replyTo,
+      threadId,
+      expiresAt,
     });
 
-    const roomClientsSet = roomClients.get(roomHash);
-    if (roomClientsSet) {
-      roomClientsSet.forEach(client => {
-        if (client.readyState === 1) {
-          client.send(broadcastPayload);
-        }
-      });
-    }
-
     // ---- Store message asynchronously (fire and forget) ----
-    (async () => {
-      const messagesKey = `room:${roomHash}:messages`;
-      const messageData = {
-        msgId,
-        ciphertext,
-        iv,
-        authTag,
-        hmac,
-        senderId,
-        createdAt: Date.now(),
-      };
-      await redis.lpush(messagesKey, JSON.stringify(messageData));
-      const roomTtl = await redis.ttl(`room:${roomHash}`);
-      if (roomTtl > 0) {
-        await redis.expire(messagesKey, roomTtl);
-      }
-    })();
+    storeMessage(roomHash, {
+      msgId,
+      ciphertext,
+      iv,
+      authTag,
+      hmac,
+      senderId,
+      epoch,
+      replyTo,
+      threadId,
+      createdAt,
+      expiresAt,
+    }).catch(err => console.error("Store message error:", err.message));
 
     // ---- ACK sender immediately (no waiting for storage) ----
     ws.send(JSON.stringify({ success: true, msgId }));
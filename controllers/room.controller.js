@@ -2,24 +2,332 @@ import redis from "../redis/client.js";
 import crypto from "crypto";
 import dotenv from 'dotenv';
 import { cleanupRoomFiles, s3Client, BUCKET_NAME } from "./file.controller.js";
+import { invalidateRoomCache } from "./message.controller.js";
+import { broadcastToRoom, disconnectMember, dropRoom } from "../utils/broadcast.js";
+import { getOnlineMembers } from "../utils/presence.js";
+import { getMaxMembers, hasRoomFor } from "../utils/members.js";
+import {
+  reserveAttempt,
+  releaseAttempt,
+  recordFailedAttempt,
+  sendTooManyAttempts,
+} from "../utils/throttle.js";
+import { sha256 } from "../crypto/hash.js";
+import { resolveCodeOptions, generateRoomCode, normalizeRoomCode } from "../utils/room-code.js";
+import { getEpochs, getPublicEpochs, getCurrentEpoch, getRoomSalt } from "../utils/epochs.js";
+import {
+  queryMessages,
+  loadReactions,
+  loadPinnedMessages,
+  messageScopedKeys,
+  migrateLegacyHistory,
+} from "../utils/message-store.js";
+import { loadReceipts } from "../utils/receipts.js";
+import {
+  issueSessionToken,
+  verifyMemberSecret,
+  checkMemberSecret,
+  SESSION_TOKEN_TTL,
+  MIN_MEMBER_SECRET_LENGTH,
+} from "../utils/session.js";
+import {
+  isValidVerifier,
+  deriveVerifier,
+  migrateRoomCode,
+  hashPassphraseProof,
+  checkPassphraseProof,
+} from "../utils/verifier.js";
 
 dotenv.config();
 
+/**
+ * Redis keys that live alongside room:<hash> and share its TTL
+ * (per-message keys come from messageScopedKeys)
+ * @param {string} roomHash
+ * @returns {string[]}
+ */
+function roomScopedKeys(roomHash) {
+  return [
+    `room:${roomHash}:msg`,
+    `room:${roomHash}:msgidx`,
+    `room:${roomHash}:threadidx`,
+    `room:${roomHash}:messages`, // legacy history list, until migrated
+    `room:${roomHash}:members`,
+    `room:${roomHash}:member_keys`,
+    `room:${roomHash}:online`,
+    `room:${roomHash}:banned`,
+    `room:${roomHash}:invites`,
+    `room:${roomHash}:reacted`,
+    `room:${roomHash}:receipts`,
+    `room:${roomHash}:pins`,
+  ];
+}
+
+/**
+ * Load a room and check the caller is its creator (creator_id and creator_secret)
+ * @param {string} roomHash
+ * @param {string} creatorId
+ * @param {string} creatorSecret
+ * @returns {Promise<{roomData?: Object, status?: number, error?: string}>}
+ */
+async function getCreatorRoom(roomHash, creatorId, creatorSecret) {
+  const roomDataStr = await redis.get(`room:${roomHash}`);
+  if (!roomDataStr) {
+    return { status: 404, error: "ROOM_NOT_FOUND" };
+  }
+
+  const roomData = JSON.parse(roomDataStr);
+  if (roomData.creator_id !== creatorId ||
+    !await verifyCreatorSecret(creatorId, creatorSecret, { claimUntil: roomData.expiry_timestamp })) {
+    return { status: 403, error: "NOT_CREATOR" };
+  }
+
+  return { roomData };
+}
+
+// Rewrite room:<hash> only if nobody changed it since it was read (keeps the TTL)
+const ROOM_COMPARE_AND_SET_SCRIPT = `
+if redis.call('GET', KEYS[1]) ~= ARGV[1] then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[2], 'KEEPTTL')
+return 1
+`;
+const MAX_ROOM_UPDATE_ATTEMPTS = 5;
+
+/**
+ * Rewrite room metadata without losing concurrent updates
+ * The write is a compare-and-set against the metadata that was read; if another
+ * writer got there first it is re-read and `mutate` runs again
+ * @param {string} roomHash
+ * @param {(roomData: Object) => ({status: number, error: string}|undefined)} mutate -
+ *   Edits the metadata in place, or returns an error to abort
+ * @returns {Promise<{roomData?: Object, status?: number, error?: string}>}
+ */
+async function updateRoom(roomHash, mutate) {
+  const redisKey = `room:${roomHash}`;
+
+  for (let attempt = 0; attempt < MAX_ROOM_UPDATE_ATTEMPTS; attempt++) {
+    const stored = await redis.get(redisKey);
+    if (!stored) return { status: 404, error: "ROOM_NOT_FOUND" };
+
+    const roomData = JSON.parse(stored);
+    const denied = mutate(roomData);
+    if (denied) return denied;
+
+    const written = await redis.eval(ROOM_COMPARE_AND_SET_SCRIPT, 1, redisKey, stored, JSON.stringify(roomData));
+    if (written === 1) {
+      invalidateRoomCache(roomHash);
+      return { roomData };
+    }
+  }
+
+  return { status: 409, error: "ROOM_CONFLICT" };
+}
+
+/**
+ * Remember which senderId the creator uses in a room, once they prove it with
+ * creator_id and creator_secret at join. Creator-only frames (pins) and
+ * moderation recognise the creator by this senderId, never by creator_id
+ * @returns {Promise<Object|null>} { status, error } to send, or null if bound
+ */
+async function bindCreatorSender(roomHash, { sender_id, creator_id, creator_secret }) {
+  const { roomData, status, error } = await getCreatorRoom(roomHash, creator_id, creator_secret);
+  if (error) return { status, error };
+  if (roomData.creator_sender_id === sender_id) return null;
+
+  const updated = await updateRoom(roomHash, (room) => {
+    if (room.creator_id !== creator_id) return { status: 403, error: "NOT_CREATOR" };
+    room.creator_sender_id = sender_id;
+  });
+  return updated.error ? { status: updated.status, error: updated.error } : null;
+}
+
+/**
+ * Index of the rooms a creator owns: creator:<sha256(creator_id)>:rooms
+ * Sorted set of room_hash scored by expiry_timestamp, expiring with the last room
+ */
+function creatorRoomsKey(creatorId) {
+  return `creator:${sha256(creatorId)}:rooms`;
+}
+
+async function indexCreatorRoom(creatorId, roomHash, expiryTimestamp) {
+  const key = creatorRoomsKey(creatorId);
+  await redis.zadd(key, expiryTimestamp, roomHash);
+
+  const [, lastExpiry] = await redis.zrange(key, -1, -1, "WITHSCORES");
+  await redis.pexpireat(key, Math.ceil(Number(lastExpiry)));
+  await redis.pexpireat(creatorSecretKey(creatorId), Math.ceil(Number(lastExpiry)));
+}
+
+/**
+ * creator_id only names the creator; creator_secret proves it. Every creator-only
+ * route needs both, and neither is ever returned to a room or broadcast.
+ * creator:<sha256(creator_id)>:secret holds sha256(creator_secret) and expires
+ * with the creator's last room. It is claimed by the first room created with a
+ * creator_secret, or, for creators whose rooms predate it, by the first
+ * creator-only request on one of their rooms. Creator-only routes (and /room/mine,
+ * /room/burn-all) refuse requests without it; /room/create only needs it once
+ * the creator_id has one
+ */
+const MIN_CREATOR_SECRET_LENGTH = 16;
+
+function creatorSecretKey(creatorId) {
+  return `creator:${sha256(creatorId)}:secret`;
+}
+
+function isValidCreatorSecret(creatorSecret) {
+  return typeof creatorSecret === "string" && creatorSecret.length >= MIN_CREATOR_SECRET_LENGTH;
+}
+
+/**
+ * Check a creator_secret, optionally claiming creator_id if nobody has yet
+ * @param {{claimUntil?: number}} [options] - claimUntil: expiry (ms) of the room the
+ *   claim is made for; the claim lasts until then, or the creator's last room
+ * @returns {Promise<boolean>}
+ */
+async function verifyCreatorSecret(creatorId, creatorSecret, { claimUntil } = {}) {
+  if (!isValidCreatorSecret(creatorSecret)) {
+    return false;
+  }
+
+  const key = creatorSecretKey(creatorId);
+  const secretHash = sha256(creatorSecret);
+  if (claimUntil) {
+    const [, lastExpiry] = await redis.zrange(creatorRoomsKey(creatorId), -1, -1, "WITHSCORES");
+    const ttl = Math.ceil(Math.max(claimUntil, Number(lastExpiry) || 0) - Date.now());
+    if (ttl > 0 && await redis.set(key, secretHash, "PX", ttl, "NX")) {
+      return true;
+    }
+  }
+
+  const stored = await redis.get(key);
+  if (!stored) return false;
+  return crypto.timingSafeEqual(Buffer.from(stored, "hex"), Buffer.from(secretHash, "hex"));
+}
+
+async function unindexCreatorRoom(creatorId, roomHash) {
+  await redis.zrem(creatorRoomsKey(creatorId), roomHash);
+}
+
+/**
+ * Remove a room and everything scoped to it, then tell its sockets
+ * Shared by /room/burn and /room/burn-all
+ */
+async function destroyRoom(roomHash, creatorId) {
+  // Invite records live outside the room:<hash> namespace
+  const inviteIds = await redis.smembers(`room:${roomHash}:invites`);
+  if (inviteIds.length > 0) {
+    await redis.del(...inviteIds.map(id => `invite:${id}`));
+  }
+
+  // Delete room and everything scoped to it; cached copies must not keep
+  // vouching for the room's sockets
+  await redis.del(`room:${roomHash}`, ...roomScopedKeys(roomHash), ...await messageScopedKeys(roomHash));
+  invalidateRoomCache(roomHash);
+  await unindexCreatorRoom(creatorId, roomHash);
+
+  // Cleanup uploaded files
+  await cleanupRoomFiles(roomHash);
+
+  // Broadcast room burnt to all clients in the room
+  const { roomClients } = await import("../index.js");
+  broadcastToRoom(roomClients, roomHash, { type: "room_burnt" });
+  // Unbind and close the room's sockets
+  dropRoom(roomClients, roomHash);
+}
+
+/**
+ * List a creator's live rooms, pruning index entries that no longer apply
+ * (expired, burnt elsewhere, or handed to another creator)
+ * @returns {Promise<Array<{roomHash: string, roomData: Object}>>}
+ */
+async function getCreatorRooms(creatorId) {
+  const key = creatorRoomsKey(creatorId);
+  await redis.zremrangebyscore(key, "-inf", Date.now());
+
+  const roomHashes = await redis.zrange(key, 0, -1);
+  const rooms = [];
+
+  for (const roomHash of roomHashes) {
+    const roomDataStr = await redis.get(`room:${roomHash}`);
+    const roomData = roomDataStr && JSON.parse(roomDataStr);
+
+    if (!roomData || roomData.creator_id !== creatorId) {
+      await redis.zrem(key, roomHash);
+      continue;
+    }
+    rooms.push({ roomHash, roomData });
+  }
+
+  return rooms;
+}
+
+/**
+ * Disappearing-messages default: null/undefined to turn off, else whole seconds
+ */
+function isValidDisappearingTtl(ttl) {
+  return ttl === undefined || ttl === null || (Number.isInteger(ttl) && ttl > 0);
+}
+
+// Random codes tried before giving up on a crowded code space
+const MAX_CODE_ALLOCATION_ATTEMPTS = 10;
+
+// Close codes sent to sockets removed by the creator
+const CLOSE_KICKED = 4001;
+const CLOSE_BANNED = 4003;
+
 /**
  * POST /room/create
  * Stores room metadata with TTL
+ * Send room_verifier (client-derived HMAC key) instead of room_code so the code never
+ * reaches the server; a legacy room_code is converted to a verifier and not stored
+ * Optional max_members caps distinct senders (defaults to 2 for 1:1 rooms, unlimited for groups)
+ * Optional passphrase_salt + passphrase_verifier make joins require a passphrase proof
+ * Optional disappearing_ttl (seconds) is the default lifetime of every message
+ * Optional members_can_pin: true lets any member pin messages (creator only by default)
+ * Optional creator_secret (16+ chars) is claimed by a creator_id's first room that
+ * sends one; from then on every room created with that creator_id needs it too
+ * (creator-only routes always do)
+ * allocate_code: true lets the server pick an unused code (optional code_length and
+ * code_alphabet); room_hash/room_code are then omitted and the code is returned once
  */
 export async function createRoom(req, res) {
   try {
-    const { room_hash, room_code, room_salt, expiry, is_group, creator_id } = req.body;
+    const {
+      room_hash,
+      room_code,
+      room_verifier,
+      room_salt,
+      expiry,
+      is_group,
+      creator_id,
+      max_members,
+      passphrase_salt,
+      passphrase_verifier,
+      allocate_code,
+      code_length,
+      code_alphabet,
+      disappearing_ttl,
+      members_can_pin,
+      creator_secret,
+    } = req.body;
 
-    if (!room_hash || !room_code || !room_salt || !expiry || typeof is_group !== 'boolean' || !creator_id) {
+    const hasClientCode = room_hash && (room_code || room_verifier);
+    if ((!allocate_code && !hasClientCode) || !room_salt || !expiry || typeof is_group !== 'boolean' || !creator_id) {
       return res.status(400).json({
         success: false,
         error: "INVALID_REQUEST",
       });
     }
 
+    if (room_verifier && !isValidVerifier(room_verifier)) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_VERIFIER",
+      });
+    }
+
     if (typeof expiry !== "number" || expiry <= 0) {
       return res.status(400).json({
         success: false,
@@ -27,34 +335,137 @@ export async function createRoom(req, res) {
       });
     }
 
-    const redisKey = `room:${room_hash}`;
+    if (max_members !== undefined && max_members !== null &&
+      (!Number.isInteger(max_members) || max_members < 2)) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_MAX_MEMBERS",
+      });
+    }
 
-    const exists = await redis.exists(redisKey);
-    if (exists) {
-      return res.status(409).json({
+    if (!passphrase_salt !== !passphrase_verifier ||
+      (passphrase_verifier && (typeof passphrase_verifier !== "string" || typeof passphrase_salt !== "string"))) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_PASSPHRASE_VERIFIER",
+      });
+    }
+
+    if (!isValidDisappearingTtl(disappearing_ttl)) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_DISAPPEARING_TTL",
+      });
+    }
+
+    if (members_can_pin !== undefined && typeof members_can_pin !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_REQUEST",
+      });
+    }
+
+    const codeOptions = allocate_code && resolveCodeOptions(code_length, code_alphabet);
+    if (allocate_code && !codeOptions) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_CODE_OPTIONS",
+      });
+    }
+
+    // Checked now, but only claimed once the room is reserved, so a failed create
+    // can't leave a claim behind
+    const secretClaimed = await redis.exists(creatorSecretKey(creator_id));
+    const hasSecret = creator_secret !== undefined && creator_secret !== null;
+    if (secretClaimed ? !await verifyCreatorSecret(creator_id, creator_secret)
+      : hasSecret && !isValidCreatorSecret(creator_secret)) {
+      return res.status(403).json({
         success: false,
-        error: "ROOM_ALREADY_EXISTS",
+        error: "INVALID_CREATOR_SECRET",
       });
     }
 
     const payload = {
-      room_code,
       room_salt,               
       is_group,
+      max_members: max_members ?? (is_group ? null : 2),
+      disappearing_ttl: disappearing_ttl ?? null,
+      members_can_pin: members_can_pin ?? false,
       expiry_timestamp: Date.now() + expiry * 1000,
       creator_id,
       createdAt: Date.now(),
     };
 
-    await redis.set(redisKey, JSON.stringify(payload), 
-      "EX", expiry,
-    );
+    if (passphrase_verifier) {
+      payload.passphrase_salt = passphrase_salt;
+      payload.passphrase_hash = hashPassphraseProof(passphrase_verifier);
+    }
+
+    let roomHash = room_hash;
+    let allocatedCode;
+
+    if (allocate_code) {
+      // Reserve with SET NX so two creators can never be handed the same code.
+      // The plaintext code is returned once and never stored or logged.
+      // The verifier is derived once the code is ours, not for every collision.
+      for (let attempt = 0; attempt < MAX_CODE_ALLOCATION_ATTEMPTS; attempt++) {
+        const code = generateRoomCode(codeOptions);
+
+        const reserved = await redis.set(`room:${sha256(code)}`, JSON.stringify(payload),
+          "EX", expiry, "NX",
+        );
+        if (reserved) {
+          roomHash = sha256(code);
+          allocatedCode = code;
+          break;
+        }
+      }
+
+      if (!allocatedCode) {
+        return res.status(503).json({
+          success: false,
+          error: "CODE_SPACE_EXHAUSTED",
+        });
+      }
+
+      payload.room_verifier = deriveVerifier(allocatedCode, room_salt);
+      await redis.set(`room:${roomHash}`, JSON.stringify(payload), "KEEPTTL");
+    } else {
+      payload.room_verifier = room_verifier || deriveVerifier(room_code, room_salt);
+
+      const created = await redis.set(`room:${room_hash}`, JSON.stringify(payload),
+        "EX", expiry, "NX",
+      );
+      if (!created) {
+        return res.status(409).json({
+          success: false,
+          error: "ROOM_ALREADY_EXISTS",
+        });
+      }
+    }
+
+    await indexCreatorRoom(creator_id, roomHash, payload.expiry_timestamp);
+
+    if (hasSecret && !secretClaimed &&
+      !await verifyCreatorSecret(creator_id, creator_secret, { claimUntil: payload.expiry_timestamp })) {
+      // Another create claimed this creator_id with a different secret meanwhile
+      await redis.del(`room:${roomHash}`);
+      await unindexCreatorRoom(creator_id, roomHash);
+      return res.status(403).json({
+        success: false,
+        error: "INVALID_CREATOR_SECRET",
+      });
+    }
 
     return res.json({
       success: true,
-      room_hash,
+      room_hash: roomHash,
+      room_code: allocatedCode,
       room_salt,                      
       expiry,
+      max_members: payload.max_members,
+      disappearing_ttl: payload.disappearing_ttl,
+      passphrase_required: !!payload.passphrase_hash,
     });
   } catch (err) {
     console.error("Create room error:", err);
@@ -65,21 +476,91 @@ export async function createRoom(req, res) {
   }
 }
 
+/**
+ * Checks shared by /room/join and /room/redeem once the room is known:
+ * passphrase proof, bans, the lock, the member cap and, with sender_id,
+ * the member_secret that claims (or proves ownership of) that senderId
+ * Wrong passphrases and secrets are recorded as failed attempts (attemptFailed: true);
+ * the caller hands the reserved attempt back for any other outcome
+ * @returns {Promise<Object|null>} { status, error, attemptFailed?, ... } to send, or null if allowed
+ */
+async function checkJoinAccess(req, roomHash, metadata) {
+  const { sender_id, passphrase_proof, member_secret } = req.body;
+
+  if (sender_id && (typeof member_secret !== "string" ||
+    member_secret.length < MIN_MEMBER_SECRET_LENGTH)) {
+    return { status: 400, error: "INVALID_MEMBER_SECRET" };
+  }
+
+  if (metadata.passphrase_hash) {
+    if (!passphrase_proof) {
+      return {
+        status: 401,
+        error: "PASSPHRASE_REQUIRED",
+        passphrase_salt: metadata.passphrase_salt,
+      };
+    }
+
+    if (!checkPassphraseProof(metadata, passphrase_proof)) {
+      await recordFailedAttempt();
+      return { status: 403, error: "INVALID_PASSPHRASE", attemptFailed: true };
+    }
+  }
+
+  if (sender_id && await redis.sismember(`room:${roomHash}:banned`, sender_id)) {
+    return { status: 403, error: "BANNED" };
+  }
+
+  // Locked rooms only let known members back in
+  if (metadata.locked &&
+    !(sender_id && await redis.sismember(`room:${roomHash}:members`, sender_id))) {
+    return { status: 403, error: "ROOM_LOCKED" };
+  }
+
+  if (!await hasRoomFor(roomHash, sender_id, metadata)) {
+    return { status: 403, error: "ROOM_FULL" };
+  }
+
+  // Last, so a join refused for any other reason doesn't claim the senderId
+  if (sender_id && !await verifyMemberSecret(roomHash, sender_id, member_secret)) {
+    await recordFailedAttempt();
+    return { status: 403, error: "SENDER_ID_TAKEN", attemptFailed: true };
+  }
+
+  return null;
+}
+
 /**
  * POST /room/join
  * Verifies room existence using hashed code
+ * Failed lookups are throttled per client and globally (429 TOO_MANY_ATTEMPTS)
+ * Pass sender_id to rejoin a room that is already at max_members
+ * With sender_id (and its member_secret, which the first join claims) the response
+ * carries a single-use session_token for join_room, binding the WebSocket to this
+ * room and sender
+ * Passphrase-protected rooms answer 401 PASSPHRASE_REQUIRED (with passphrase_salt)
+ * until a passphrase_proof is sent
+ * The creator also sends creator_id and creator_secret so their senderId gets
+ * the creator's rights over the WebSocket (pins)
  */
 export async function joinRoom(req, res) {
   try {
-    const { code } = req.body;
+    const code = normalizeRoomCode(req.body.code);
 
-    if (!code || !/^\d{6}$/.test(code)) {
+    if (!code) {
       return res.status(400).json({
         success: false,
         error: "INVALID_CODE_FORMAT",
       });
     }
 
+    // Refuse throttled clients before touching the room; the attempt counts
+    // as failed until it is handed back
+    const retryAfter = await reserveAttempt(req.ip);
+    if (retryAfter > 0) {
+      return sendTooManyAttempts(res, retryAfter);
+    }
+
     const roomHash = crypto
       .createHash("sha256")
       .update(code)
@@ -89,6 +570,7 @@ export async function joinRoom(req, res) {
 
     const exists = await redis.exists(redisKey);
     if (!exists) {
+      await recordFailedAttempt();
       // Room not found, clean up files
       await cleanupRoomFiles(roomHash);
       return res.status(404).json({
@@ -99,6 +581,7 @@ export async function joinRoom(req, res) {
 
     const ttl = await redis.ttl(redisKey);
     if (ttl <= 0) {
+      await recordFailedAttempt();
       // Room expired, clean up files
       await cleanupRoomFiles(roomHash);
       return res.status(410).json({
@@ -110,13 +593,46 @@ export async function joinRoom(req, res) {
     const raw = await redis.get(redisKey);
     const metadata = JSON.parse(raw);
 
+    const denied = await checkJoinAccess(req, roomHash, metadata);
+    if (!denied?.attemptFailed) {
+      await releaseAttempt(req.ip);
+    }
+    if (denied) {
+      const { status, attemptFailed, ...body } = denied;
+      return res.status(status).json({
+        success: false,
+        ...body,
+      });
+    }
+
+    // The creator can join as any senderId and proves the role with creator_secret
+    if (req.body.sender_id && req.body.creator_id) {
+      const refused = await bindCreatorSender(roomHash, req.body);
+      if (refused) {
+        return res.status(refused.status).json({
+          success: false,
+          error: refused.error,
+        });
+      }
+    }
+
+    const sessionToken = req.body.sender_id
+      ? await issueSessionToken(roomHash, req.body.sender_id)
+      : null;
+
     return res.json({
       success: true,
       room_hash: roomHash,
-      room_code: metadata.room_code,
-      room_salt: metadata.room_salt,     // ✅ NOW EXISTS
+      session_token: sessionToken,
+      session_expires_in: sessionToken ? SESSION_TOKEN_TTL : null,
+      room_code: code,                   // echoed for older clients; never stored
+      room_salt: getRoomSalt(metadata, { member: !!sessionToken }),
       expiry_timestamp: metadata.expiry_timestamp,
       createdAt: metadata.createdAt,
+      passphrase_required: !!metadata.passphrase_hash,
+      locked: !!metadata.locked,
+      key_epoch: getCurrentEpoch(metadata),
+      epochs: getPublicEpochs(metadata, { member: !!sessionToken }),
     });
   } catch (err) {
     console.error("Join room error:", err);
@@ -127,9 +643,49 @@ export async function joinRoom(req, res) {
   }
 }
 
+/**
+ * Load a room for a lookup route, throttled like /room/join: room_hash is only
+ * sha256(code), so unthrottled lookups would let codes be walked here instead
+ * With requireMember, the caller must also hold a member's sender_id and
+ * member_secret (claimed by a join that passed the passphrase check), so room
+ * content is never served on room_hash alone
+ * @param {Object} req - Express request (client address for the throttle, body)
+ * @param {string} roomHash
+ * @param {{requireMember?: boolean}} [options]
+ * @returns {Promise<{roomData?: Object, status?: number, error?: string, retryAfter?: number}>}
+ */
+async function lookupRoom(req, roomHash, { requireMember = false } = {}) {
+  const { sender_id, member_secret } = req.body;
+  if (requireMember && (!sender_id || !member_secret)) {
+    return { status: 400, error: "INVALID_REQUEST" };
+  }
+
+  const retryAfter = await reserveAttempt(req.ip);
+  if (retryAfter > 0) return { retryAfter };
+
+  const roomDataStr = await redis.get(`room:${roomHash}`);
+  if (!roomDataStr) {
+    await recordFailedAttempt();
+    return { status: 404, error: "ROOM_NOT_FOUND" };
+  }
+
+  if (requireMember && !await checkMemberSecret(roomHash, sender_id, member_secret)) {
+    await recordFailedAttempt();
+    return { status: 403, error: "NOT_A_MEMBER" };
+  }
+
+  await releaseAttempt(req.ip);
+
+  if (requireMember && await redis.sismember(`room:${roomHash}:banned`, sender_id)) {
+    return { status: 403, error: "BANNED" };
+  }
+  return { roomData: JSON.parse(roomDataStr) };
+}
+
 /**
  * POST /room/info
  * Gets room metadata
+ * Lookups are throttled per client like /room/join (429 TOO_MANY_ATTEMPTS)
  */
 export async function getRoomInfo(req, res) {
   try {
@@ -142,27 +698,32 @@ export async function getRoomInfo(req, res) {
       });
     }
 
-    const redisKey = `room:${room_hash}`;
-    const roomDataStr = await redis.get(redisKey);
-
-    if (!roomDataStr) {
+    const { roomData, status, error, retryAfter } = await lookupRoom(req, room_hash);
+    if (retryAfter) {
+      return sendTooManyAttempts(res, retryAfter);
+    }
+    if (error) {
       // Room expired or not found, clean up files
       await cleanupRoomFiles(room_hash);
-      return res.status(404).json({
+      return res.status(status).json({
         success: false,
-        error: "ROOM_NOT_FOUND",
+        error,
       });
     }
 
-    const roomData = JSON.parse(roomDataStr);
-    const ttl = await redis.ttl(redisKey);
-
     return res.json({
       success: true,
-      room_salt: roomData.room_salt,
+      room_salt: getRoomSalt(roomData),
       is_group: roomData.is_group,
-      creator_id: roomData.creator_id,
+      max_members: getMaxMembers(roomData),
       expiry_timestamp: roomData.expiry_timestamp,
+      passphrase_required: !!roomData.passphrase_hash,
+      passphrase_salt: roomData.passphrase_salt,
+      locked: !!roomData.locked,
+      disappearing_ttl: roomData.disappearing_ttl ?? null,
+      members_can_pin: !!roomData.members_can_pin,
+      key_epoch: getCurrentEpoch(roomData),
+      epochs: getPublicEpochs(roomData),
     });
   } catch (err) {
     console.error("Get room info error:", err);
@@ -175,11 +736,18 @@ export async function getRoomInfo(req, res) {
 
 /**
  * POST /room/messages
- * Gets all messages for a room
+ * Gets a page of room history, keyed by cursors instead of offsets
+ * Body: { room_hash, sender_id, member_secret, before?, after?, limit?, include_revisions?, thread_id? }
+ * Members only: sender_id and member_secret as claimed at /room/join
+ * thread_id narrows the page to one thread (its first message and its replies)
+ * Edited messages carry editedAt and revisionCount; prior encrypted versions
+ * are only included with include_revisions. Reactions are grouped per message
+ * Use pagination.prevCursor as `before` to scroll back and
+ * pagination.nextCursor as `after` to catch up on newer messages
  */
 export async function getRoomMessages(req, res) {
   try {
-    const { room_hash, page = 0, limit = 50 } = req.body;
+    const { room_hash, before, after, limit, include_revisions, thread_id } = req.body;
 
     if (!room_hash) {
       return res.status(400).json({
@@ -188,36 +756,53 @@ export async function getRoomMessages(req, res) {
       });
     }
 
-    const redisKey = `room:${room_hash}`;
-    const roomExists = await redis.exists(redisKey);
+    if (thread_id !== undefined && (typeof thread_id !== "string" || !thread_id)) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_REQUEST",
+      });
+    }
 
-    if (!roomExists) {
+    const { status, error, retryAfter } = await lookupRoom(req, room_hash, { requireMember: true });
+    if (retryAfter) {
+      return sendTooManyAttempts(res, retryAfter);
+    }
+    if (error) {
       // Room expired or not found, clean up files
       await cleanupRoomFiles(room_hash);
-      return res.status(404).json({
+      return res.status(status).json({
         success: false,
-        error: "ROOM_NOT_FOUND",
+        error,
       });
     }
 
-    const messagesKey = `room:${room_hash}:messages`;
-    const totalMessages = await redis.llen(messagesKey);
+    const page = await queryMessages(room_hash, { before, after, limit, threadId: thread_id });
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        error: page.error,
+      });
+    }
 
-    // Calculate start and end indices for pagination
-    const start = page * limit;
-    const end = start + limit - 1;
+    const reactions = await loadReactions(room_hash, page.messages.map(message => message.msgId));
 
-    const messages = await redis.lrange(messagesKey, start, end);
-    const parsedMessages = messages.map(msg => JSON.parse(msg)).reverse(); // reverse to get chronological order
+    const messages = page.messages.map(({ revisions, ...message }) => ({
+      ...message,
+      ...(revisions && { revisionCount: revisions.length }),
+      ...(revisions && include_revisions && { revisions }),
+      ...(reactions.has(message.msgId) && { reactions: reactions.get(message.msgId) }),
+    }));
 
     return res.json({
       success: true,
-      messages: parsedMessages,
+      messages,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: totalMessages,
-        hasMore: totalMessages > (page + 1) * limit,
+        limit: page.limit,
+        prevCursor: page.prevCursor,
+        nextCursor: page.nextCursor,
+        hasMore: page.hasMoreBefore,
+        hasMoreBefore: page.hasMoreBefore,
+        hasMoreAfter: page.hasMoreAfter,
       },
     });
   } catch (err) {
@@ -228,62 +813,87 @@ export async function getRoomMessages(req, res) {
     });
   }
 }
-export async function burnRoom(req, res) {
+
+/**
+ * POST /room/members
+ * Lists known members and which of them are currently connected
+ * Body: { room_hash, sender_id, member_secret } (members only)
+ */
+export async function getRoomMembers(req, res) {
   try {
-    const { room_hash, creator_id } = req.body;
+    const { room_hash } = req.body;
 
-    if (!room_hash || !creator_id) {
+    if (!room_hash) {
       return res.status(400).json({
         success: false,
         error: "INVALID_REQUEST",
       });
     }
 
-    const redisKey = `room:${room_hash}`;
-    const roomDataStr = await redis.get(redisKey);
-
-    if (!roomDataStr) {
-      return res.status(404).json({
+    const { status, error, retryAfter } = await lookupRoom(req, room_hash, { requireMember: true });
+    if (retryAfter) {
+      return sendTooManyAttempts(res, retryAfter);
+    }
+    if (error) {
+      return res.status(status).json({
         success: false,
-        error: "ROOM_NOT_FOUND",
+        error,
       });
     }
 
-    const roomData = JSON.parse(roomDataStr);
+    const members = await redis.smembers(`room:${room_hash}:members`);
+    const online = await getOnlineMembers(room_hash);
 
-    if (roomData.creator_id !== creator_id) {
-      return res.status(403).json({
+    return res.json({
+      success: true,
+      members,
+      online,
+    });
+  } catch (err) {
+    console.error("Get room members error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+    });
+  }
+}
+
+/**
+ * POST /room/pins
+ * Pinned messages (still encrypted), oldest pin first, each with pinnedAt
+ * Body: { room_hash, sender_id, member_secret } (members only)
+ */
+export async function getPinnedMessages(req, res) {
+  try {
+    const { room_hash } = req.body;
+
+    if (!room_hash) {
+      return res.status(400).json({
         success: false,
-        error: "NOT_CREATOR",
+        error: "INVALID_REQUEST",
       });
     }
 
-    // Delete room and members
-    await redis.del(redisKey);
-    await redis.del(`room:${room_hash}:members`);
-    await redis.del(`room:${room_hash}:messages`);
-
-    // Cleanup uploaded files
-    await cleanupRoomFiles(room_hash);
-
-    // Broadcast room burnt to all clients in the room
-    const { roomClients } = await import("../index.js");
-    const clients = roomClients.get(room_hash);
-    if (clients) {
-      for (const client of clients) {
-        if (client.readyState === 1) {
-          client.send(JSON.stringify({ type: "room_burnt" }));
-        }
-      }
-      // Clear the clients
-      roomClients.delete(room_hash);
+    const { status, error, retryAfter } = await lookupRoom(req, room_hash, { requireMember: true });
+    if (retryAfter) {
+      return sendTooManyAttempts(res, retryAfter);
+    }
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
     }
 
+    const messages = (await loadPinnedMessages(room_hash))
+      .map(({ revisions, ...message }) => message);
+
     return res.json({
       success: true,
+      messages,
     });
   } catch (err) {
-    console.error("Burn room error:", err);
+    console.error("Get pinned messages error:", err);
     return res.status(500).json({
       success: false,
       error: "SERVER_ERROR",
@@ -291,6 +901,1015 @@ export async function burnRoom(req, res) {
   }
 }
 
+/**
+ * POST /room/receipts
+ * Delivered/read watermarks for every member that has acknowledged a message
+ * Body: { room_hash, sender_id, member_secret } (members only)
+ */
+export async function getRoomReceipts(req, res) {
+  try {
+    const { room_hash } = req.body;
+
+    if (!room_hash) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_REQUEST",
+      });
+    }
+
+    const { status, error, retryAfter } = await lookupRoom(req, room_hash, { requireMember: true });
+    if (retryAfter) {
+      return sendTooManyAttempts(res, retryAfter);
+    }
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    const receipts = await loadReceipts(room_hash);
+
+    return res.json({
+      success: true,
+      receipts,
+    });
+  } catch (err) {
+    console.error("Get room receipts error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+    });
+  }
+}
+
+/**
+ * POST /room/burn
+ * Deletes a room and everything in it (creator only)
+ * Body: { room_hash, creator_id, creator_secret }
+ */
+export async function burnRoom(req, res) {
+  try {
+    const { room_hash, creator_id, creator_secret } = req.body;
+
+    if (!room_hash || !creator_id || !creator_secret) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_REQUEST",
+      });
+    }
+
+    const { status, error } = await getCreatorRoom(room_hash, creator_id, creator_secret);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    await destroyRoom(room_hash, creator_id);
+
+    return res.json({
+      success: true,
+    });
+  } catch (err) {
+    console.error("Burn room error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+    });
+  }
+}
+
+/**
+ * POST /room/mine
+ * Lists the creator's active rooms with their expiries
+ * Body: { creator_id, creator_secret }
+ * Rooms created before the creator index existed are not listed
+ */
+export async function getMyRooms(req, res) {
+  try {
+    const { creator_id, creator_secret } = req.body;
+
+    if (!creator_id || !creator_secret) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_REQUEST",
+      });
+    }
+
+    if (!await verifyCreatorSecret(creator_id, creator_secret)) {
+      return res.status(403).json({
+        success: false,
+        error: "INVALID_CREATOR_SECRET",
+      });
+    }
+
+    const rooms = await getCreatorRooms(creator_id);
+
+    return res.json({
+      success: true,
+      rooms: rooms.map(({ roomHash, roomData }) => ({
+        room_hash: roomHash,
+        is_group: roomData.is_group,
+        locked: !!roomData.locked,
+        expiry_timestamp: roomData.expiry_timestamp,
+        createdAt: roomData.createdAt,
+      })),
+    });
+  } catch (err) {
+    console.error("List creator rooms error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+    });
+  }
+}
+
+/**
+ * POST /room/burn-all
+ * Burns every active room the creator owns ("panic button")
+ * Body: { creator_id, creator_secret }
+ */
+export async function burnAllRooms(req, res) {
+  try {
+    const { creator_id, creator_secret } = req.body;
+
+    if (!creator_id || !creator_secret) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_REQUEST",
+      });
+    }
+
+    if (!await verifyCreatorSecret(creator_id, creator_secret)) {
+      return res.status(403).json({
+        success: false,
+        error: "INVALID_CREATOR_SECRET",
+      });
+    }
+
+    const rooms = await getCreatorRooms(creator_id);
+    const burnt = [];
+    const failed = [];
+
+    // Keep going on errors: a partial wipe beats stopping at the first failure
+    for (const { roomHash } of rooms) {
+      try {
+        await destroyRoom(roomHash, creator_id);
+        burnt.push(roomHash);
+      } catch (err) {
+        console.error(`Burn-all failed for room ${roomHash}:`, err);
+        failed.push(roomHash);
+      }
+    }
+
+    if (failed.length > 0) {
+      return res.status(500).json({
+        success: false,
+        error: "PARTIAL_BURN",
+        burnt,
+        failed,
+      });
+    }
+
+    return res.json({
+      success: true,
+      burnt,
+    });
+  } catch (err) {
+    console.error("Burn all rooms error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+    });
+  }
+}
+
+/**
+ * POST /room/extend
+ * Moves the room expiry (forward or back) to `expiry` seconds from now
+ * Creator only
+ */
+export async function extendRoom(req, res) {
+  try {
+    const { room_hash, creator_id, creator_secret, expiry } = req.body;
+
+    if (!room_hash || !creator_id || !creator_secret || expiry === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_REQUEST",
+      });
+    }
+
+    if (typeof expiry !== "number" || !Number.isInteger(expiry) || expiry <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_EXPIRY",
+      });
+    }
+
+    const { roomData, status, error } = await getCreatorRoom(room_hash, creator_id, creator_secret);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    const redisKey = `room:${room_hash}`;
+    roomData.expiry_timestamp = Date.now() + expiry * 1000;
+
+    await redis.set(redisKey, JSON.stringify(roomData),
+      "EX", expiry,
+    );
+    invalidateRoomCache(room_hash);
+    await indexCreatorRoom(creator_id, room_hash, roomData.expiry_timestamp);
+
+    // Messages, members and file metadata must expire together with the room
+    const fileKeys = await redis.keys(`file:${room_hash}:*`);
+    const messageKeys = await messageScopedKeys(room_hash);
+    const pipeline = redis.pipeline();
+    for (const key of [...roomScopedKeys(room_hash), ...messageKeys, ...fileKeys]) {
+      pipeline.expire(key, expiry);
+    }
+    await pipeline.exec();
+
+    const { roomClients } = await import("../index.js");
+    broadcastToRoom(roomClients, room_hash, {
+      type: "room_extended",
+      expiry_timestamp: roomData.expiry_timestamp,
+    });
+
+    return res.json({
+      success: true,
+      room_hash,
+      expiry,
+      expiry_timestamp: roomData.expiry_timestamp,
+    });
+  } catch (err) {
+    console.error("Extend room error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+    });
+  }
+}
+
+/**
+ * Shared validation for moderation actions that target another member
+ * @returns {Promise<{roomData?: Object, status?: number, error?: string}>}
+ */
+async function getModerationTarget(body) {
+  const { room_hash, creator_id, creator_secret, sender_id } = body;
+
+  if (!room_hash || !creator_id || !creator_secret || !sender_id) {
+    return { status: 400, error: "INVALID_REQUEST" };
+  }
+
+  const target = await getCreatorRoom(room_hash, creator_id, creator_secret);
+  if (target.roomData?.creator_sender_id === sender_id) {
+    return { status: 400, error: "CANNOT_TARGET_CREATOR" };
+  }
+  return target;
+}
+
+/**
+ * POST /room/kick
+ * Disconnects a member's sockets and frees their member slot (creator only)
+ * The member can rejoin with the room code unless they are also banned
+ */
+export async function kickMember(req, res) {
+  try {
+    const { room_hash, sender_id } = req.body;
+
+    const { status, error } = await getModerationTarget(req.body);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    await redis.srem(`room:${room_hash}:members`, sender_id);
+
+    const { roomClients } = await import("../index.js");
+    const disconnected = disconnectMember(roomClients, room_hash, sender_id,
+      { type: "kicked", roomHash: room_hash },
+      CLOSE_KICKED,
+    );
+
+    return res.json({
+      success: true,
+      disconnected,
+    });
+  } catch (err) {
+    console.error("Kick member error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+    });
+  }
+}
+
+/**
+ * POST /room/ban
+ * Kicks a member and refuses any further frames from their senderId (creator only)
+ */
+export async function banMember(req, res) {
+  try {
+    const { room_hash, sender_id } = req.body;
+
+    const { status, error } = await getModerationTarget(req.body);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    const bannedKey = `room:${room_hash}:banned`;
+    await redis.sadd(bannedKey, sender_id);
+    const roomTtl = await redis.ttl(`room:${room_hash}`);
+    if (roomTtl > 0) {
+      await redis.expire(bannedKey, roomTtl);
+    }
+    await redis.srem(`room:${room_hash}:members`, sender_id);
+
+    const { roomClients } = await import("../index.js");
+    const disconnected = disconnectMember(roomClients, room_hash, sender_id,
+      { type: "kicked", roomHash: room_hash, reason: "banned" },
+      CLOSE_BANNED,
+    );
+
+    return res.json({
+      success: true,
+      disconnected,
+    });
+  } catch (err) {
+    console.error("Ban member error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+    });
+  }
+}
+
+/**
+ * POST /room/unban
+ * Lifts a ban (creator only)
+ */
+export async function unbanMember(req, res) {
+  try {
+    const { room_hash, sender_id } = req.body;
+
+    const { status, error } = await getModerationTarget(req.body);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    await redis.srem(`room:${room_hash}:banned`, sender_id);
+
+    return res.json({
+      success: true,
+    });
+  } catch (err) {
+    console.error("Unban member error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+    });
+  }
+}
+
+/**
+ * POST /room/transfer
+ * Hands the creator role to another creator_id (creator only)
+ * Body: { room_hash, creator_id, creator_secret, new_creator_id }
+ * new_creator_id is passed on out of band and never shown to the room; the new
+ * creator then acts (and sees the room in /room/mine) with their own creator_secret,
+ * and gets creator rights over the WebSocket by joining with it
+ */
+export async function transferCreator(req, res) {
+  try {
+    const { room_hash, creator_id, creator_secret, new_creator_id } = req.body;
+
+    if (!room_hash || !creator_id || !creator_secret || !new_creator_id) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_REQUEST",
+      });
+    }
+
+    const { status, error } = await getCreatorRoom(room_hash, creator_id, creator_secret);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    // The old creator's senderId loses its rights until the new creator joins
+    const { roomData, status: updateStatus, error: updateError } = await updateRoom(room_hash, (room) => {
+      if (room.creator_id !== creator_id) return { status: 403, error: "NOT_CREATOR" };
+      room.creator_id = new_creator_id;
+      delete room.creator_sender_id;
+    });
+    if (updateError) {
+      return res.status(updateStatus).json({
+        success: false,
+        error: updateError,
+      });
+    }
+
+    await unindexCreatorRoom(creator_id, room_hash);
+    await indexCreatorRoom(new_creator_id, room_hash, roomData.expiry_timestamp);
+
+    const { roomClients } = await import("../index.js");
+    broadcastToRoom(roomClients, room_hash, {
+      type: "creator_transferred",
+    });
+
+    return res.json({
+      success: true,
+    });
+  } catch (err) {
+    console.error("Transfer creator error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+    });
+  }
+}
+
+// Upper bound on stored epochs so room metadata stays small
+const MAX_KEY_EPOCHS = 256;
+
+/**
+ * POST /room/rekey
+ * Starts a new key epoch with a fresh room_salt (creator only)
+ * Body: { room_hash, creator_id, creator_secret, room_salt, room_verifier }
+ * room_verifier must be derived from the new salt; older epochs stay readable
+ * The new salt only reaches the room's sockets and members who later pass the
+ * join checks, so ban (or lock the room) before rekeying to shut someone out
+ */
+export async function rekeyRoom(req, res) {
+  try {
+    const { room_hash, creator_id, creator_secret, room_salt, room_verifier } = req.body;
+
+    if (!room_hash || !creator_id || !creator_secret || !room_salt || typeof room_salt !== "string" ||
+      !room_verifier) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_REQUEST",
+      });
+    }
+
+    if (!isValidVerifier(room_verifier)) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_VERIFIER",
+      });
+    }
+
+    const { roomData, status, error } = await getCreatorRoom(room_hash, creator_id, creator_secret);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    // Legacy rooms need their epoch 0 verifier before history is materialised
+    await migrateRoomCode(room_hash, roomData);
+
+    const createdAt = Date.now();
+    let epoch;
+
+    // Compare-and-set so concurrent rekeys each get their own epoch
+    const updated = await updateRoom(room_hash, (room) => {
+      const epochs = getEpochs(room);
+      if (epochs.length >= MAX_KEY_EPOCHS) {
+        return { status: 409, error: "REKEY_LIMIT_REACHED" };
+      }
+
+      epoch = getCurrentEpoch(room) + 1;
+      room.epochs = [...epochs, { epoch, room_salt, room_verifier, createdAt }];
+      room.key_epoch = epoch;
+      room.room_salt = room_salt;
+      room.room_verifier = room_verifier;
+    });
+    if (updated.error) {
+      return res.status(updated.status).json({
+        success: false,
+        error: updated.error,
+      });
+    }
+
+    const { roomClients } = await import("../index.js");
+    broadcastToRoom(roomClients, room_hash, {
+      type: "rekey",
+      epoch,
+      room_salt,
+      createdAt,
+    });
+
+    return res.json({
+      success: true,
+      key_epoch: epoch,
+      epochs: getPublicEpochs(updated.roomData, { member: true }),
+    });
+  } catch (err) {
+    console.error("Rekey room error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+    });
+  }
+}
+
+/**
+ * POST /room/disappearing
+ * Sets or clears the room-wide disappearing-messages default (creator only)
+ * Body: { room_hash, creator_id, creator_secret, disappearing_ttl: seconds | null }
+ * Applies to messages sent from now on; senders can still set a per-message ttl
+ */
+export async function setDisappearingMessages(req, res) {
+  try {
+    const { room_hash, creator_id, creator_secret, disappearing_ttl } = req.body;
+
+    if (!room_hash || !creator_id || !creator_secret || disappearing_ttl === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_REQUEST",
+      });
+    }
+
+    if (!isValidDisappearingTtl(disappearing_ttl)) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_DISAPPEARING_TTL",
+      });
+    }
+
+    const { roomData, status, error } = await getCreatorRoom(room_hash, creator_id, creator_secret);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    roomData.disappearing_ttl = disappearing_ttl;
+    await redis.set(`room:${room_hash}`, JSON.stringify(roomData), "KEEPTTL");
+    invalidateRoomCache(room_hash);
+
+    const { roomClients } = await import("../index.js");
+    broadcastToRoom(roomClients, room_hash, {
+      type: "disappearing_updated",
+      disappearing_ttl,
+    });
+
+    return res.json({
+      success: true,
+      disappearing_ttl,
+    });
+  } catch (err) {
+    console.error("Set disappearing messages error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+    });
+  }
+}
+
+/**
+ * Shared handler for /room/lock and /room/unlock (creator only)
+ */
+async function setRoomLock(req, res, locked) {
+  try {
+    const { room_hash, creator_id, creator_secret } = req.body;
+
+    if (!room_hash || !creator_id || !creator_secret) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_REQUEST",
+      });
+    }
+
+    const { roomData, status, error } = await getCreatorRoom(room_hash, creator_id, creator_secret);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    if (!!roomData.locked !== locked) {
+      roomData.locked = locked;
+      await redis.set(`room:${room_hash}`, JSON.stringify(roomData), "KEEPTTL");
+      invalidateRoomCache(room_hash);
+
+      const { roomClients } = await import("../index.js");
+      broadcastToRoom(roomClients, room_hash, {
+        type: locked ? "room_locked" : "room_unlocked",
+      });
+    }
+
+    return res.json({
+      success: true,
+      locked,
+    });
+  } catch (err) {
+    console.error(`${locked ? "Lock" : "Unlock"} room error:`, err);
+    return res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+    });
+  }
+}
+
+/**
+ * POST /room/lock
+ * Freezes membership: only senderIds already in room:<hash>:members can (re)join
+ */
+export async function lockRoom(req, res) {
+  return setRoomLock(req, res, true);
+}
+
+/**
+ * POST /room/unlock
+ * Reopens a locked room to new members
+ */
+export async function unlockRoom(req, res) {
+  return setRoomLock(req, res, false);
+}
+
+// Invite tokens are only stored hashed: invite:<sha256(token)>
+const MAX_INVITE_PAYLOAD = 4096;
+
+// Atomically count one redemption
+// Returns remaining uses, -1 = unknown/expired invite, -2 = no uses left
+const REDEEM_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  return -1
+end
+local uses = tonumber(redis.call('HGET', KEYS[1], 'uses'))
+local max = tonumber(redis.call('HGET', KEYS[1], 'max_uses'))
+if uses >= max then
+  return -2
+end
+redis.call('HINCRBY', KEYS[1], 'uses', 1)
+return max - uses - 1
+`;
+
+/**
+ * POST /room/invite
+ * Mints an invite token (creator only)
+ * Body: { room_hash, creator_id, creator_secret, max_uses?, expiry? (seconds), invite_payload? }
+ * invite_payload is an opaque client-encrypted blob handed back on redemption
+ * (e.g. the room code sealed under a key derived from the token)
+ */
+export async function createInvite(req, res) {
+  try {
+    const { room_hash, creator_id, creator_secret, max_uses = 1, expiry, invite_payload } = req.body;
+
+    if (!room_hash || !creator_id || !creator_secret) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_REQUEST",
+      });
+    }
+
+    if (!Number.isInteger(max_uses) || max_uses < 1) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_MAX_USES",
+      });
+    }
+
+    if (expiry !== undefined && (!Number.isInteger(expiry) || expiry <= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_EXPIRY",
+      });
+    }
+
+    if (invite_payload !== undefined &&
+      (typeof invite_payload !== "string" || invite_payload.length > MAX_INVITE_PAYLOAD)) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_INVITE_PAYLOAD",
+      });
+    }
+
+    const { status, error } = await getCreatorRoom(room_hash, creator_id, creator_secret);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    // An invite never outlives its room
+    const roomTtl = await redis.ttl(`room:${room_hash}`);
+    const ttl = Math.min(expiry || roomTtl, roomTtl);
+    if (ttl <= 0) {
+      return res.status(410).json({
+        success: false,
+        error: "ROOM_EXPIRED",
+      });
+    }
+
+    const inviteToken = crypto.randomBytes(32).toString("base64url");
+    const inviteId = sha256(inviteToken);
+    const expiryTimestamp = Date.now() + ttl * 1000;
+
+    const invitesKey = `room:${room_hash}:invites`;
+    await redis.multi()
+      .hset(`invite:${inviteId}`, {
+        room_hash,
+        max_uses,
+        uses: 0,
+        payload: invite_payload || "",
+        expiry_timestamp: expiryTimestamp,
+        createdAt: Date.now(),
+      })
+      .expire(`invite:${inviteId}`, ttl)
+      .sadd(invitesKey, inviteId)
+      .expire(invitesKey, roomTtl)
+      .exec();
+
+    return res.json({
+      success: true,
+      invite_token: inviteToken,
+      invite_id: inviteId,
+      max_uses,
+      expiry_timestamp: expiryTimestamp,
+    });
+  } catch (err) {
+    console.error("Create invite error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+    });
+  }
+}
+
+/**
+ * POST /room/invites
+ * Lists a room's live invites (creator only)
+ */
+export async function listInvites(req, res) {
+  try {
+    const { room_hash, creator_id, creator_secret } = req.body;
+
+    if (!room_hash || !creator_id || !creator_secret) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_REQUEST",
+      });
+    }
+
+    const { status, error } = await getCreatorRoom(room_hash, creator_id, creator_secret);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    const invitesKey = `room:${room_hash}:invites`;
+    const inviteIds = await redis.smembers(invitesKey);
+    const invites = [];
+
+    for (const inviteId of inviteIds) {
+      const invite = await redis.hgetall(`invite:${inviteId}`);
+      if (!invite.room_hash) {
+        // Expired on its own - drop it from the index
+        await redis.srem(invitesKey, inviteId);
+        continue;
+      }
+      invites.push({
+        invite_id: inviteId,
+        max_uses: parseInt(invite.max_uses),
+        uses: parseInt(invite.uses),
+        expiry_timestamp: parseInt(invite.expiry_timestamp),
+      });
+    }
+
+    return res.json({
+      success: true,
+      invites,
+    });
+  } catch (err) {
+    console.error("List invites error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+    });
+  }
+}
+
+/**
+ * POST /room/invite/revoke
+ * Revokes a single invite (creator only)
+ */
+export async function revokeInvite(req, res) {
+  try {
+    const { room_hash, creator_id, creator_secret, invite_id } = req.body;
+
+    if (!room_hash || !creator_id || !creator_secret || !invite_id) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_REQUEST",
+      });
+    }
+
+    const { status, error } = await getCreatorRoom(room_hash, creator_id, creator_secret);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    const removed = await redis.srem(`room:${room_hash}:invites`, invite_id);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: "INVITE_NOT_FOUND",
+      });
+    }
+    await redis.del(`invite:${invite_id}`);
+
+    return res.json({
+      success: true,
+    });
+  } catch (err) {
+    console.error("Revoke invite error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+    });
+  }
+}
+
+/**
+ * POST /room/redeem
+ * Joins a room with an invite token instead of the room code
+ * Same passphrase, ban and capacity rules (and throttling) as /room/join,
+ * and the same session_token when sender_id is given
+ * Body: { token, sender_id?, member_secret?, passphrase_proof?, creator_id?, creator_secret? }
+ */
+export async function redeemInvite(req, res) {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_REQUEST",
+      });
+    }
+
+    const retryAfter = await reserveAttempt(req.ip);
+    if (retryAfter > 0) {
+      return sendTooManyAttempts(res, retryAfter);
+    }
+
+    const inviteKey = `invite:${sha256(token)}`;
+    const invite = await redis.hgetall(inviteKey);
+
+    if (!invite.room_hash) {
+      await recordFailedAttempt();
+      return res.status(404).json({
+        success: false,
+        error: "INVITE_NOT_FOUND",
+      });
+    }
+
+    const roomHash = invite.room_hash;
+    const raw = await redis.get(`room:${roomHash}`);
+    if (!raw) {
+      await redis.del(inviteKey);
+      await releaseAttempt(req.ip);
+      return res.status(404).json({
+        success: false,
+        error: "ROOM_NOT_FOUND",
+      });
+    }
+    const metadata = JSON.parse(raw);
+
+    // Check everything else first so a refused join doesn't burn a use
+    const denied = await checkJoinAccess(req, roomHash, metadata);
+    if (!denied?.attemptFailed) {
+      await releaseAttempt(req.ip);
+    }
+    if (denied) {
+      const { status, attemptFailed, ...body } = denied;
+      return res.status(status).json({
+        success: false,
+        ...body,
+      });
+    }
+
+    const remainingUses = await redis.eval(REDEEM_SCRIPT, 1, inviteKey);
+    if (remainingUses === -1) {
+      return res.status(404).json({
+        success: false,
+        error: "INVITE_NOT_FOUND",
+      });
+    }
+    if (remainingUses === -2) {
+      return res.status(410).json({
+        success: false,
+        error: "INVITE_EXHAUSTED",
+      });
+    }
+
+    // The creator can join as any senderId and proves the role with creator_secret
+    if (req.body.sender_id && req.body.creator_id) {
+      const refused = await bindCreatorSender(roomHash, req.body);
+      if (refused) {
+        return res.status(refused.status).json({
+          success: false,
+          error: refused.error,
+        });
+      }
+    }
+
+    const sessionToken = req.body.sender_id
+      ? await issueSessionToken(roomHash, req.body.sender_id)
+      : null;
+
+    return res.json({
+      success: true,
+      room_hash: roomHash,
+      session_token: sessionToken,
+      session_expires_in: sessionToken ? SESSION_TOKEN_TTL : null,
+      room_salt: getRoomSalt(metadata, { member: !!sessionToken }),
+      expiry_timestamp: metadata.expiry_timestamp,
+      createdAt: metadata.createdAt,
+      passphrase_required: !!metadata.passphrase_hash,
+      locked: !!metadata.locked,
+      key_epoch: getCurrentEpoch(metadata),
+      epochs: getPublicEpochs(metadata, { member: !!sessionToken }),
+      invite_payload: invite.payload || null,
+      remaining_uses: remainingUses,
+    });
+  } catch (err) {
+    console.error("Redeem invite error:", err);
+    return res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+    });
+  }
+}
+
+/**
+ * One-off sweep replacing plaintext room codes with verifiers and moving legacy
+ * history lists into the message store
+ * Codes missed here are still migrated the first time a file is uploaded
+ */
+export async function migrateLegacyRooms() {
+  let cursor = "0";
+  let migrated = 0;
+  let migratedHistories = 0;
+
+  do {
+    const [nextCursor, keys] = await redis.scan(cursor, "MATCH", "room:*", "COUNT", 200);
+    cursor = nextCursor;
+
+    for (const key of keys) {
+      // Only room:<hash>, not room:<hash>:messages etc.
+      if (key.split(":").length !== 2) continue;
+
+      const roomDataStr = await redis.get(key);
+      if (!roomDataStr) continue;
+
+      const roomHash = key.slice("room:".length);
+      const roomData = JSON.parse(roomDataStr);
+      if (await migrateRoomCode(roomHash, roomData)) {
+        migrated++;
+      }
+      if (await migrateLegacyHistory(roomHash) > 0) {
+        migratedHistories++;
+      }
+    }
+  } while (cursor !== "0");
+
+  if (migrated > 0) {
+    console.log(`Migrated ${migrated} rooms from plaintext codes to verifiers`);
+  }
+  if (migratedHistories > 0) {
+    console.log(`Migrated ${migratedHistories} rooms from legacy history lists`);
+  }
+}
+
 /**
  * Periodic cleanup of expired rooms' S3 files
  * Called every 5 minutes to clean up orphaned S3 files
@@ -18,13 +18,14 @@ export function generateHMAC(key, message) {
  * @param {Buffer | string} key - Secret key
  * @param {Buffer | string} message - Original message
  * @param {string} hmac - HMAC to verify
+ * @param {BufferEncoding} [encoding] - How hmac is encoded ("hex", or "base64" for WebSocket frames)
  * @returns {boolean} true if valid
  */
-export function verifyHmac(key, message, hmac) {
+export function verifyHmac(key, message, hmac, encoding = "hex") {
   const computed = generateHMAC(key, message);
   // Use timingSafeEqual to prevent timing attacks
   const a = Buffer.from(computed, "hex");
-  const b = Buffer.from(hmac, "hex");
+  const b = Buffer.from(hmac, encoding);
   if (a.length !== b.length) return false;
   return crypto.timingSafeEqual(a, b);
 }
@@ -4,20 +4,29 @@ import roomRoutes from "./routes/room.routes.js";
 import fileRoutes from "./routes/file.routes.js";
 import fileDropRoutes from "./routes/file-drop.routes.js";
 import pingRoutes from "./routes/ping.routes.js";
+import metricsRoutes from "./routes/metrics.routes.js";
 import { WebSocketServer } from "ws";
-import { handleMessage } from "./controllers/message.controller.js";
-import { startPeriodicCleanup } from "./controllers/room.controller.js";
+import { handleMessage, handleDisconnect, startMessageExpiry } from "./controllers/message.controller.js";
+import { startPeriodicCleanup, migrateLegacyRooms } from "./controllers/room.controller.js";
 import { startFileDropCleanup } from "./controllers/file-drop.controller.js";
+import { startRoomFanout } from "./utils/broadcast.js";
 
 dotenv.config();
 
 const app = express();
 app.use(express.json());
 
+// Behind a load balancer, trust its X-Forwarded-For so req.ip is the real client
+// (used to throttle room code guessing)
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 app.use("/room", roomRoutes);
 app.use("/file", fileRoutes);
 app.use("/file-drop", fileDropRoutes);
 app.use("/ping", pingRoutes);
+app.use("/metrics", metricsRoutes);
 
 const PORT = process.env.PORT;
 const server = app.listen(PORT, () => {
@@ -32,6 +41,21 @@ const server = app.listen(PORT, () => {
       console.error("Stack trace:", error.stack);
     }
 
+    try {
+      await startRoomFanout(roomClients);
+      console.log("Cross-instance room fan-out initialized successfully");
+    } catch (error) {
+      console.error("Failed to start cross-instance room fan-out:", error);
+    }
+
+    startMessageExpiry(roomClients);
+
+    try {
+      await migrateLegacyRooms();
+    } catch (error) {
+      console.error("Failed to migrate legacy rooms:", error);
+    }
+
     try {
       console.log("Starting file drop cleanup initialization...");
       await startFileDropCleanup();
@@ -55,9 +79,19 @@ const wss = new WebSocketServer({
 // Map of roomHash to Set of WebSocket clients
 const roomClients = new Map();
 
-wss.on("connection", (ws) => {
+wss.on("connection", (ws, req) => {
   console.log("New WebSocket connection");
 
+  // Client address for throttling passphrase guesses (same hop count as Express)
+  const forwardedFor = process.env.TRUST_PROXY && req.headers["x-forwarded-for"];
+  if (forwardedFor) {
+    const hops = forwardedFor.split(",").map(addr => addr.trim());
+    const trustedHops = Number(process.env.TRUST_PROXY) || 1;
+    ws.clientAddress = hops[Math.max(hops.length - trustedHops, 0)];
+  } else {
+    ws.clientAddress = req.socket.remoteAddress;
+  }
+
   // Set up ping/pong heartbeat
   const pingInterval = setInterval(() => {
     if (ws.readyState === 1) { // OPEN
@@ -90,13 +124,8 @@ wss.on("connection", (ws) => {
     console.log("WebSocket connection closed");
     clearInterval(pingInterval);
     clearTimeout(connectionTimeout);
-    // Remove from all rooms
-    for (const [roomHash, clients] of roomClients) {
-      clients.delete(ws);
-      if (clients.size === 0) {
-        roomClients.delete(roomHash);
-      }
-    }
+    // Remove from all rooms and announce member_left
+    handleDisconnect(ws, roomClients);
   });
 
   ws.on("error", (error) => {
@@ -0,0 +1,27 @@
+import express from "express";
+import { getSecurityMetrics } from "../utils/throttle.js";
+import { getBroadcastMetrics } from "../utils/broadcast.js";
+
+const router = express.Router();
+
+// GET /metrics - security counters and this instance's WebSocket send queues
+router.get("/", async (req, res) => {
+  try {
+    const { roomClients } = await import("../index.js");
+
+    res.json({
+      success: true,
+      security: await getSecurityMetrics(),
+      broadcast: getBroadcastMetrics(roomClients),
+      timestamp: Date.now(),
+    });
+  } catch (error) {
+    console.error("Metrics error:", error);
+    res.status(500).json({
+      success: false,
+      error: "SERVER_ERROR",
+    });
+  }
+});
+
+export default router;
@@ -1,5 +1,29 @@
 import express from "express";
-import { createRoom, joinRoom, getRoomInfo, burnRoom, getRoomMessages } from "../controllers/room.controller.js";
+import {
+  createRoom,
+  joinRoom,
+  getRoomInfo,
+  getRoomMembers,
+  getRoomReceipts,
+  getPinnedMessages,
+  burnRoom,
+  getMyRooms,
+  burnAllRooms,
+  extendRoom,
+  kickMember,
+  banMember,
+  unbanMember,
+  transferCreator,
+  setDisappearingMessages,
+  lockRoom,
+  rekeyRoom,
+  unlockRoom,
+  createInvite,
+  listInvites,
+  revokeInvite,
+  redeemInvite,
+  getRoomMessages,
+} from "../controllers/room.controller.js";
 
 const router = express.Router();
 
@@ -15,7 +39,61 @@ router.post("/info", getRoomInfo);
 // POST /room/messages
 router.post("/messages", getRoomMessages);
 
+// POST /room/members
+router.post("/members", getRoomMembers);
+
+// POST /room/receipts
+router.post("/receipts", getRoomReceipts);
+
+// POST /room/pins
+router.post("/pins", getPinnedMessages);
+
 // POST /room/burn
 router.post("/burn", burnRoom);
 
+// POST /room/mine
+router.post("/mine", getMyRooms);
+
+// POST /room/burn-all
+router.post("/burn-all", burnAllRooms);
+
+// POST /room/extend
+router.post("/extend", extendRoom);
+
+// POST /room/kick
+router.post("/kick", kickMember);
+
+// POST /room/ban
+router.post("/ban", banMember);
+
+// POST /room/unban
+router.post("/unban", unbanMember);
+
+// POST /room/transfer
+router.post("/transfer", transferCreator);
+
+// POST /room/rekey
+router.post("/rekey", rekeyRoom);
+
+// POST /room/disappearing
+router.post("/disappearing", setDisappearingMessages);
+
+// POST /room/lock
+router.post("/lock", lockRoom);
+
+// POST /room/unlock
+router.post("/unlock", unlockRoom);
+
+// POST /room/invite
+router.post("/invite", createInvite);
+
+// POST /room/invites
+router.post("/invites", listInvites);
+
+// POST /room/invite/revoke
+router.post("/invite/revoke", revokeInvite);
+
+// POST /room/redeem
+router.post("/redeem", redeemInvite);
+
 export default router;
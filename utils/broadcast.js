@@ -0,0 +1,330 @@
+import crypto from "crypto";
+import redis from "../redis/client.js";
+
+/**
+ * Cross-instance fan-out
+ *
+ * Each instance only holds its own sockets in roomClients, so every room event is
+ * delivered locally and also published on ROOM_EVENTS_CHANNEL. The other instances
+ * pick it up on a dedicated subscriber connection and deliver it to their sockets;
+ * events carry the publishing instance's id so nobody delivers its own twice.
+ */
+const ROOM_EVENTS_CHANNEL = "room-events";
+const INSTANCE_ID = crypto.randomUUID();
+
+// event type -> handler for events published by other instances
+const eventHandlers = new Map();
+
+/**
+ * Publish an event for the other instances (fire and forget)
+ * @param {{type: string, roomHash: string}} event
+ */
+export function publishRoomEvent(event) {
+  redis.publish(ROOM_EVENTS_CHANNEL, JSON.stringify({ ...event, origin: INSTANCE_ID }))
+    .catch(err => console.error("Room event publish error:", err.message));
+}
+
+/**
+ * Handle an event type published by other instances
+ * @param {string} type
+ * @param {(event: Object) => void} handler
+ */
+export function onRoomEvent(type, handler) {
+  eventHandlers.set(type, handler);
+}
+
+/**
+ * Subscribe this instance to room events from the others
+ * @param {Map<string, Set<WebSocket>>} roomClients - this instance's sockets
+ */
+export async function startRoomFanout(roomClients) {
+  onRoomEvent("broadcast", ({ roomHash, payload }) => {
+    deliverToRoom(roomClients, roomHash, payload);
+  });
+  onRoomEvent("disconnect", ({ roomHash, senderId, payload, closeCode }) => {
+    closeMemberSockets(roomClients, roomHash, senderId, payload, closeCode);
+  });
+  onRoomEvent("drop", ({ roomHash }) => {
+    closeRoomSockets(roomClients, roomHash);
+  });
+
+  // A connection in subscriber mode can't run other commands
+  const subscriber = redis.duplicate();
+  subscriber.on("error", (err) => {
+    console.error("Room event subscriber error:", err.message);
+  });
+  subscriber.on("message", (channel, raw) => {
+    try {
+      const event = JSON.parse(raw);
+      if (event.origin === INSTANCE_ID) return;
+      eventHandlers.get(event.type)?.(event);
+    } catch (err) {
+      console.error("Room event handling error:", err.message);
+    }
+  });
+
+  await subscriber.subscribe(ROOM_EVENTS_CHANNEL);
+}
+
+/**
+ * Backpressure
+ *
+ * A socket whose send buffer (bufferedAmount) is past the soft limit is congested.
+ * What happens to an event on a congested socket depends on its type's policy:
+ *   drop       - the event is discarded (ephemeral events)
+ *   coalesce   - only the latest event per key is sent once the buffer drains
+ *   disconnect - the socket is closed as a slow consumer
+ *   queue      - the event is queued as usual (every type without a policy)
+ * Past the hard limit the socket is closed as a slow consumer whatever the event.
+ *
+ * WS_CONGESTION_POLICIES overrides the defaults per type, e.g.
+ * "typing_start=drop,receipt=coalesce,message=disconnect,pin_updated=queue".
+ * Types coalesced without a built-in key keep only their latest event.
+ * Chat messages are sent without a type and go by "message" here.
+ */
+const SEND_SOFT_LIMIT = parseInt(process.env.WS_SEND_SOFT_LIMIT) || 256 * 1024; // bytes
+const SEND_HARD_LIMIT = parseInt(process.env.WS_SEND_HARD_LIMIT) || 4 * 1024 * 1024; // bytes
+const CLOSE_SLOW_CONSUMER = 4008;
+const SLOW_CONSUMER_CLOSE_GRACE = 5 * 1000; // terminate if the close handshake stalls too
+
+const CONGESTION_ACTIONS = ["drop", "coalesce", "disconnect", "queue"];
+
+// event type -> coalesce key, for updates that supersede earlier ones of the same key
+const COALESCE_KEYS = {
+  receipt: (p) => p.senderId,
+  reaction: (p) => JSON.stringify([p.messageId, p.senderId, p.reaction]),
+  pin_updated: (p) => p.messageId,
+};
+
+const DEFAULT_CONGESTION_POLICIES = {
+  typing_start: "drop",
+  typing_stop: "drop",
+  recording_audio: "drop",
+  recording_stop: "drop",
+  receipt: "coalesce",
+  reaction: "coalesce",
+  pin_updated: "coalesce",
+};
+
+/**
+ * Parse "type=action,..." overrides on top of the default policies
+ * @param {string} [spec]
+ * @returns {Object<string, string>} event type -> action
+ */
+function parseCongestionPolicies(spec) {
+  const policies = { ...DEFAULT_CONGESTION_POLICIES };
+  if (!spec) return policies;
+
+  for (const entry of spec.split(",")) {
+    if (!entry.trim()) continue;
+
+    const [type, action] = entry.split("=").map(part => part?.trim());
+    if (!type || !CONGESTION_ACTIONS.includes(action)) {
+      throw new Error(
+        `Invalid WS_CONGESTION_POLICIES entry "${entry}": expected <event type>=<${CONGESTION_ACTIONS.join("|")}>`
+      );
+    }
+    policies[type] = action;
+  }
+  return policies;
+}
+
+// event type -> what to do with it on a congested socket
+const CONGESTION_POLICIES = parseCongestionPolicies(process.env.WS_CONGESTION_POLICIES);
+
+const backpressureStats = {
+  dropped: 0,
+  coalesced: 0,
+  slowConsumerDisconnects: 0,
+};
+
+function disconnectSlowConsumer(client) {
+  backpressureStats.slowConsumerDisconnects++;
+  client.pendingUpdates?.clear();
+  client.close(CLOSE_SLOW_CONSUMER, "slow_consumer");
+  setTimeout(() => {
+    if (client.readyState !== 3) { // CLOSED
+      client.terminate();
+    }
+  }, SLOW_CONSUMER_CLOSE_GRACE).unref();
+}
+
+// Send coalesced updates once the socket is back under the soft limit
+function flushPendingUpdates(client) {
+  if (!client.pendingUpdates?.size || client.readyState !== 1 ||
+    client.bufferedAmount >= SEND_SOFT_LIMIT) return;
+
+  const pending = [...client.pendingUpdates.values()];
+  client.pendingUpdates.clear();
+  for (const message of pending) {
+    client.send(message, () => flushPendingUpdates(client));
+  }
+}
+
+// Policy name of an event: its type, or "message" for chat messages
+function eventKind(payload) {
+  return payload.type ?? "message";
+}
+
+function sendToClient(client, payload, message) {
+  if (client.bufferedAmount >= SEND_HARD_LIMIT) {
+    disconnectSlowConsumer(client);
+    return;
+  }
+
+  const kind = eventKind(payload);
+  const action = client.bufferedAmount >= SEND_SOFT_LIMIT && CONGESTION_POLICIES[kind];
+  if (action === "drop") {
+    backpressureStats.dropped++;
+    return;
+  }
+  if (action === "disconnect") {
+    disconnectSlowConsumer(client);
+    return;
+  }
+  if (action === "coalesce") {
+    const key = `${kind}:${COALESCE_KEYS[kind]?.(payload) ?? ""}`;
+    if (!client.pendingUpdates) {
+      client.pendingUpdates = new Map();
+    }
+    if (client.pendingUpdates.has(key)) {
+      backpressureStats.coalesced++;
+    }
+    client.pendingUpdates.set(key, message);
+    return;
+  }
+
+  client.send(message, () => flushPendingUpdates(client));
+}
+
+/**
+ * Send-queue metrics for this instance
+ * @param {Map<string, Set<WebSocket>>} roomClients
+ * @returns {Object}
+ */
+export function getBroadcastMetrics(roomClients) {
+  const sockets = new Set();
+  for (const clients of roomClients.values()) {
+    for (const client of clients) {
+      sockets.add(client);
+    }
+  }
+
+  let totalBuffered = 0;
+  let maxBuffered = 0;
+  let congested = 0;
+  let pendingUpdates = 0;
+  for (const client of sockets) {
+    totalBuffered += client.bufferedAmount;
+    maxBuffered = Math.max(maxBuffered, client.bufferedAmount);
+    if (client.bufferedAmount >= SEND_SOFT_LIMIT) congested++;
+    pendingUpdates += client.pendingUpdates?.size ?? 0;
+  }
+
+  return {
+    sockets: sockets.size,
+    congested_sockets: congested,
+    buffered_bytes: totalBuffered,
+    max_buffered_bytes: maxBuffered,
+    pending_updates: pendingUpdates,
+    soft_limit_bytes: SEND_SOFT_LIMIT,
+    hard_limit_bytes: SEND_HARD_LIMIT,
+    dropped_events: backpressureStats.dropped,
+    coalesced_events: backpressureStats.coalesced,
+    slow_consumer_disconnects: backpressureStats.slowConsumerDisconnects,
+    congestion_policies: CONGESTION_POLICIES,
+  };
+}
+
+function deliverToRoom(roomClients, roomHash, payload, exclude) {
+  const clients = roomClients.get(roomHash);
+  if (!clients) return;
+
+  const message = JSON.stringify(payload);
+  for (const client of clients) {
+    if (client !== exclude && client.readyState === 1) { // OPEN
+      sendToClient(client, payload, message);
+    }
+  }
+}
+
+/**
+ * Send a payload to every open socket in a room, on every instance
+ * @param {Map<string, Set<WebSocket>>} roomClients - roomHash -> connected sockets
+ * @param {string} roomHash - Room to broadcast to
+ * @param {Object} payload - JSON-serialisable event
+ * @param {{exclude?: WebSocket}} [options] - exclude: socket that should not get its own event back
+ */
+export function broadcastToRoom(roomClients, roomHash, payload, { exclude } = {}) {
+  deliverToRoom(roomClients, roomHash, payload, exclude);
+  publishRoomEvent({ type: "broadcast", roomHash, payload });
+}
+
+/**
+ * Send a final event to a member's sockets in a room, then close them, on every instance
+ * Sockets are matched on the senderId they announced with join_room
+ * @param {Map<string, Set<WebSocket>>} roomClients - roomHash -> connected sockets
+ * @param {string} roomHash - Room the member is removed from
+ * @param {string} senderId - Member to disconnect
+ * @param {Object} payload - JSON-serialisable event sent before closing
+ * @param {number} closeCode - WebSocket close code (4000-4999 application range)
+ * @returns {number} number of sockets closed on this instance
+ */
+export function disconnectMember(roomClients, roomHash, senderId, payload, closeCode) {
+  publishRoomEvent({ type: "disconnect", roomHash, senderId, payload, closeCode });
+  return closeMemberSockets(roomClients, roomHash, senderId, payload, closeCode);
+}
+
+function closeMemberSockets(roomClients, roomHash, senderId, payload, closeCode) {
+  const clients = roomClients.get(roomHash);
+  if (!clients) return 0;
+
+  const message = JSON.stringify(payload);
+  let closed = 0;
+  for (const client of clients) {
+    if (client.joinedRooms?.get(roomHash) !== senderId) continue;
+
+    clients.delete(client);
+    if (client.readyState === 1) { // OPEN
+      client.send(message);
+      client.close(closeCode, payload.type);
+    }
+    closed++;
+  }
+
+  if (clients.size === 0) {
+    roomClients.delete(roomHash);
+  }
+  return closed;
+}
+
+// Close code for sockets whose room was burnt
+const CLOSE_ROOM_GONE = 4004;
+
+/**
+ * Unbind and close a room's sockets on every instance (room burnt)
+ * Their sessions are cleared first, so nothing they send after this is accepted
+ * @param {Map<string, Set<WebSocket>>} roomClients
+ * @param {string} roomHash
+ */
+export function dropRoom(roomClients, roomHash) {
+  closeRoomSockets(roomClients, roomHash);
+  publishRoomEvent({ type: "drop", roomHash });
+}
+
+function closeRoomSockets(roomClients, roomHash) {
+  const clients = roomClients.get(roomHash);
+  roomClients.delete(roomHash);
+  if (!clients) return;
+
+  for (const client of clients) {
+    if (client.session?.roomHash === roomHash) {
+      client.session = null;
+    }
+    // Presence went with the room; don't release it again on close
+    client.joinedRooms?.delete(roomHash);
+    if (client.readyState === 1) { // OPEN
+      client.close(CLOSE_ROOM_GONE, "room_burnt");
+    }
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * Room key epochs.
+ *
+ * Each rekey starts a new epoch with a fresh room_salt (and verifier, since the
+ * verifier is derived from the salt). roomData.epochs keeps the full history so
+ * clients can still decrypt messages and files tagged with older epochs.
+ * Rooms that were never rekeyed have no history stored: their top-level
+ * room_salt/room_verifier are epoch 0.
+ *
+ * Anyone with the room code can derive a key from a salt, so the salts of epochs
+ * started by a rekey are only handed to members who passed the join checks (and
+ * to the room's bound sockets); lookups on the room code alone get epoch 0's.
+ */
+
+/**
+ * Full epoch history, including verifiers (server-side only)
+ * @param {Object} roomData - Parsed room:<hash> metadata
+ * @returns {Array<{epoch: number, room_salt: string, room_verifier?: string, createdAt: number}>}
+ */
+export function getEpochs(roomData) {
+  if (Array.isArray(roomData.epochs)) return roomData.epochs;
+
+  return [{
+    epoch: 0,
+    room_salt: roomData.room_salt,
+    room_verifier: roomData.room_verifier,
+    createdAt: roomData.createdAt,
+  }];
+}
+
+/**
+ * Epoch history safe to hand to clients (no verifiers)
+ * @param {Object} roomData
+ * @param {{member?: boolean}} [options] - member: the caller passed the join checks;
+ *   otherwise salts of rekeyed epochs are left out
+ * @returns {Array<{epoch: number, room_salt?: string, createdAt: number}>}
+ */
+export function getPublicEpochs(roomData, { member = false } = {}) {
+  return getEpochs(roomData).map(({ epoch, room_salt, createdAt }) => ({
+    epoch,
+    ...((member || epoch === 0) && { room_salt }),
+    createdAt,
+  }));
+}
+
+/**
+ * The salt a caller may derive the room key from
+ * @param {Object} roomData
+ * @param {{member?: boolean}} [options] - member: current epoch's salt, else epoch 0's
+ * @returns {string}
+ */
+export function getRoomSalt(roomData, { member = false } = {}) {
+  return member ? roomData.room_salt : getEpochs(roomData)[0].room_salt;
+}
+
+/**
+ * @param {Object} roomData
+ * @returns {number} the epoch new content should be encrypted under
+ */
+export function getCurrentEpoch(roomData) {
+  return roomData.key_epoch ?? 0;
+}
+
+/**
+ * Resolve the epoch a client says it encrypted under
+ * @param {Object} roomData
+ * @param {*} requested - Epoch from the client; current epoch if omitted
+ * @returns {number|null} null if the room has no such epoch
+ */
+export function resolveEpoch(roomData, requested) {
+  if (requested === undefined || requested === null || requested === "") {
+    return getCurrentEpoch(roomData);
+  }
+
+  const epoch = Number(requested);
+  if (!Number.isInteger(epoch)) return null;
+  return getEpochs(roomData).some(entry => entry.epoch === epoch) ? epoch : null;
+}
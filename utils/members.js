@@ -0,0 +1,78 @@
+import redis from "../redis/client.js";
+
+// Atomically admit a senderId into room:<hash>:members unless the room is full or locked
+// Returns 0 = already a member, 1 = newly admitted, -1 = room full, -2 = room locked
+const ADMIT_SCRIPT = `
+if redis.call('SISMEMBER', KEYS[1], ARGV[1]) == 1 then
+  return 0
+end
+if ARGV[3] == '1' then
+  return -2
+end
+local max = tonumber(ARGV[2])
+if max > 0 and redis.call('SCARD', KEYS[1]) >= max then
+  return -1
+end
+redis.call('SADD', KEYS[1], ARGV[1])
+local ttl = redis.call('TTL', KEYS[2])
+if ttl > 0 then
+  redis.call('EXPIRE', KEYS[1], ttl)
+end
+return 1
+`;
+
+/**
+ * Resolve the member cap for a room
+ * Rooms created before max_members existed fall back to 2 for 1:1 rooms
+ * @param {Object} roomData - Parsed room:<hash> metadata
+ * @returns {number|null} cap, or null when unlimited
+ */
+export function getMaxMembers(roomData) {
+  if (roomData.max_members !== undefined) return roomData.max_members;
+  return roomData.is_group ? null : 2;
+}
+
+/**
+ * Add a senderId to the room's member set if there is room for it
+ * Locked rooms only let existing members through
+ * @param {string} roomHash
+ * @param {string} senderId
+ * @param {Object} roomData - Parsed room:<hash> metadata
+ * @returns {Promise<"member"|"joined"|"full"|"locked">}
+ */
+export async function admitMember(roomHash, senderId, roomData) {
+  const result = await redis.eval(
+    ADMIT_SCRIPT,
+    2,
+    `room:${roomHash}:members`,
+    `room:${roomHash}`,
+    senderId,
+    getMaxMembers(roomData) || 0,
+    roomData.locked ? "1" : "0",
+  );
+
+  if (result === 0) return "member";
+  if (result === 1) return "joined";
+  if (result === -2) return "locked";
+  return "full";
+}
+
+/**
+ * Check (without reserving a slot) whether a senderId could enter the room
+ * @param {string} roomHash
+ * @param {string|undefined} senderId - Optional; known members always fit
+ * @param {Object} roomData - Parsed room:<hash> metadata
+ * @returns {Promise<boolean>}
+ */
+export async function hasRoomFor(roomHash, senderId, roomData) {
+  const maxMembers = getMaxMembers(roomData);
+  if (!maxMembers) return true;
+
+  const membersKey = `room:${roomHash}:members`;
+  if (senderId && await redis.sismember(membersKey, senderId)) {
+    return true;
+  }
+
+  const count = await redis.scard(membersKey);
+  return count < maxMembers;
+}
@@ -0,0 +1,571 @@
+import redis from "../redis/client.js";
+
+/**
+ * Stored room history, addressable by msgId:
+ * - room:<hash>:msg       hash of msgId -> JSON record
+ * - room:<hash>:msgidx    chronological index (see indexEntry)
+ * - room:<hash>:threadidx the same index per thread, entries prefixed "<threadId>|"
+ * Indexes are sorted sets with every score 0, so members sort lexicographically
+ * and ZRANGEBYLEX pages through them in O(log n). Rooms still holding the old
+ * room:<hash>:messages list are migrated once, by the startup sweep
+ * (migrateLegacyRooms), since nothing writes that list any more.
+ *
+ * History is read through cursors rather than list offsets, because offsets
+ * shift whenever a message is pushed between two requests. A cursor is
+ * "<createdAt>_<msgId>" and identifies a position in the chronological order
+ * (createdAt, then msgId to break ties). Clients may also pass a bare msgId or a
+ * millisecond timestamp as a cursor.
+ */
+
+// Global queue of disappearing messages: "<roomHash>:<msgId>" scored by expiresAt
+const EXPIRING_KEY = "messages:expiring";
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+// createdAt is zero-padded in index entries so lexicographic order is chronological
+const INDEX_WIDTH = 15;
+// Sorts after every index entry (all ASCII)
+const LEX_MAX = "\xff";
+
+// Update only if nobody rewrote or removed the record since it was read
+const COMPARE_AND_SET_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], ARGV[1])
+if not current then
+  return -1
+end
+if current ~= ARGV[2] then
+  return 0
+end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+return 1
+`;
+const MAX_UPDATE_ATTEMPTS = 5;
+
+// Write a record and its index entries with the room's TTL, unless the room is gone
+// KEYS: room, records, index, thread index
+// ARGV: msgId, record, index entry, thread entry ("" if none), thread root entry ("" if none)
+const STORE_SCRIPT = `
+local ttl = redis.call('TTL', KEYS[1])
+if ttl == -2 then
+  return 0
+end
+
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[2])
+redis.call('ZADD', KEYS[3], 0, ARGV[3])
+local last = 3
+if ARGV[4] ~= '' then
+  redis.call('ZADD', KEYS[4], 0, ARGV[4])
+  if ARGV[5] ~= '' then
+    redis.call('ZADD', KEYS[4], 0, ARGV[5])
+  end
+  last = 4
+end
+
+if ttl > 0 then
+  for i = 2, last do
+    redis.call('EXPIRE', KEYS[i], ttl)
+  end
+end
+return 1
+`;
+
+// Move a legacy room:<hash>:messages list into the hash and indexes in one step
+// KEYS: legacy list, records, index, thread index
+const MIGRATE_SCRIPT = `
+local raw = redis.call('LRANGE', KEYS[1], 0, -1)
+if #raw == 0 then
+  return 0
+end
+
+local function entry(msg)
+  return string.format('%0${INDEX_WIDTH}.0f', msg.createdAt) .. '_' .. msg.msgId
+end
+
+local threads = {}
+for _, stored in ipairs(raw) do
+  local msg = cjson.decode(stored)
+  redis.call('HSET', KEYS[2], msg.msgId, stored)
+  redis.call('ZADD', KEYS[3], 0, entry(msg))
+  if type(msg.threadId) == 'string' then
+    redis.call('ZADD', KEYS[4], 0, msg.threadId .. '|' .. entry(msg))
+    threads[msg.threadId] = true
+  end
+end
+
+for threadId in pairs(threads) do
+  local root = redis.call('HGET', KEYS[2], threadId)
+  if root then
+    redis.call('ZADD', KEYS[4], 0, threadId .. '|' .. entry(cjson.decode(root)))
+  end
+end
+
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl > 0 then
+  for i = 2, 4 do
+    if redis.call('EXISTS', KEYS[i]) == 1 then
+      redis.call('PEXPIRE', KEYS[i], ttl)
+    end
+  end
+end
+redis.call('DEL', KEYS[1])
+return #raw
+`;
+
+function recordsKey(roomHash) {
+  return `room:${roomHash}:msg`;
+}
+
+function indexKey(roomHash) {
+  return `room:${roomHash}:msgidx`;
+}
+
+function threadIndexKey(roomHash) {
+  return `room:${roomHash}:threadidx`;
+}
+
+/**
+ * Index entry for a message: "<zero-padded createdAt>_<msgId>"
+ */
+function indexEntry(message) {
+  return `${String(message.createdAt).padStart(INDEX_WIDTH, "0")}_${message.msgId}`;
+}
+
+/**
+ * @param {{createdAt: number, msgId: string}} message
+ * @returns {string}
+ */
+export function formatCursor(message) {
+  return `${message.createdAt}_${message.msgId}`;
+}
+
+function isExpired(message, now = Date.now()) {
+  return Boolean(message.expiresAt && message.expiresAt <= now);
+}
+
+/**
+ * Move a room's legacy history list into the hash and indexes
+ * @param {string} roomHash
+ * @returns {Promise<number>} number of messages moved (0 if there was no list)
+ */
+export async function migrateLegacyHistory(roomHash) {
+  return redis.eval(
+    MIGRATE_SCRIPT,
+    4,
+    `room:${roomHash}:messages`,
+    recordsKey(roomHash),
+    indexKey(roomHash),
+    threadIndexKey(roomHash)
+  );
+}
+
+/**
+ * Load stored records by msgId, in the order given
+ * Missing records and disappearing messages past their expiresAt are skipped,
+ * even before the sweeper has purged them
+ * @param {string} roomHash
+ * @param {string[]} msgIds
+ * @returns {Promise<Object[]>}
+ */
+async function loadRecords(roomHash, msgIds) {
+  if (msgIds.length === 0) return [];
+
+  const now = Date.now();
+  const raw = await redis.hmget(recordsKey(roomHash), ...msgIds);
+  return raw
+    .filter(Boolean)
+    .map(msg => JSON.parse(msg))
+    .filter(msg => !isExpired(msg, now));
+}
+
+/**
+ * Append a message to the room history with the room's TTL
+ * Disappearing messages (expiresAt set) are also queued for the expiry sweeper
+ * Nothing is written once the room is gone (burnt or expired), so no history
+ * outlives its room
+ * @param {string} roomHash
+ * @param {Object} messageData - Record with msgId, createdAt and optional expiresAt/threadId
+ * @returns {Promise<boolean>} false if the room no longer exists
+ */
+export async function storeMessage(roomHash, messageData) {
+  let threadEntry = "";
+  let rootEntry = "";
+  if (messageData.threadId) {
+    const root = await findMessage(roomHash, messageData.threadId);
+    threadEntry = `${messageData.threadId}|${indexEntry(messageData)}`;
+    rootEntry = root ? `${messageData.threadId}|${indexEntry(root)}` : "";
+  }
+
+  const stored = await redis.eval(
+    STORE_SCRIPT,
+    4,
+    `room:${roomHash}`,
+    recordsKey(roomHash),
+    indexKey(roomHash),
+    threadIndexKey(roomHash),
+    messageData.msgId,
+    JSON.stringify(messageData),
+    indexEntry(messageData),
+    threadEntry,
+    rootEntry
+  );
+  if (stored !== 1) return false;
+
+  if (messageData.expiresAt) {
+    await redis.zadd(EXPIRING_KEY, messageData.expiresAt, `${roomHash}:${messageData.msgId}`);
+  }
+  return true;
+}
+
+/**
+ * Find one stored message by msgId (expired messages are not found)
+ * @param {string} roomHash
+ * @param {string} msgId
+ * @returns {Promise<Object|null>}
+ */
+export async function findMessage(roomHash, msgId) {
+  const [message] = await loadRecords(roomHash, [msgId]);
+  return message || null;
+}
+
+/**
+ * Rewrite one stored message
+ * The write is a compare-and-set against the record that was read; if another
+ * writer got there first the record is re-read and `mutate` runs again
+ * @param {string} roomHash
+ * @param {string} msgId
+ * @param {(message: Object) => string|undefined} mutate - Edits the record in place,
+ *   or returns an error code to abort
+ * @returns {Promise<{message?: Object, error?: string}>}
+ */
+export async function updateMessage(roomHash, msgId, mutate) {
+  for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+    const stored = await redis.hget(recordsKey(roomHash), msgId);
+    if (!stored) return { error: "MESSAGE_NOT_FOUND" };
+
+    const message = JSON.parse(stored);
+    if (isExpired(message)) return { error: "MESSAGE_NOT_FOUND" };
+
+    const error = mutate(message);
+    if (error) return { error };
+
+    const result = await redis.eval(
+      COMPARE_AND_SET_SCRIPT,
+      1,
+      recordsKey(roomHash),
+      msgId,
+      stored,
+      JSON.stringify(message)
+    );
+    if (result === 1) return { message };
+    if (result === -1) {
+      // Removed (expired or burnt) between read and write
+      return { error: "MESSAGE_NOT_FOUND" };
+    }
+  }
+
+  return { error: "MESSAGE_CONFLICT" };
+}
+
+/**
+ * Remove a message from the room history entirely
+ * @param {string} roomHash
+ * @param {string} msgId
+ * @returns {Promise<Object|null>} The removed record, or null if none was stored
+ */
+export async function removeMessage(roomHash, msgId) {
+  const stored = await redis.hget(recordsKey(roomHash), msgId);
+  if (!stored) return null;
+
+  const message = JSON.parse(stored);
+  const entry = indexEntry(message);
+  const tx = redis.multi()
+    .hdel(recordsKey(roomHash), msgId)
+    .zrem(indexKey(roomHash), entry)
+    // As a reply, and as the first message of its own thread
+    .zrem(threadIndexKey(roomHash), `${msgId}|${entry}`);
+  if (message.threadId) {
+    tx.zrem(threadIndexKey(roomHash), `${message.threadId}|${entry}`);
+  }
+  // Reactions and pins on a purged message go with it
+  tx.del(reactionsKey(roomHash, msgId))
+    .srem(reactedKey(roomHash), msgId)
+    .zrem(pinsKey(roomHash), msgId);
+  const [[, removed]] = await tx.exec();
+
+  return removed > 0 ? message : null;
+}
+
+/**
+ * Pins: room:<hash>:pins is a sorted set of msgId scored by pin time,
+ * capped at MAX_PINS so the pinned list stays something people actually read
+ */
+export const MAX_PINS = 50;
+
+const PIN_SCRIPT = `
+if redis.call('ZSCORE', KEYS[1], ARGV[1]) then
+  return 0
+end
+if redis.call('ZCARD', KEYS[1]) >= tonumber(ARGV[3]) then
+  return -1
+end
+redis.call('ZADD', KEYS[1], ARGV[2], ARGV[1])
+if tonumber(ARGV[4]) > 0 then
+  redis.call('EXPIRE', KEYS[1], ARGV[4])
+end
+return 1
+`;
+
+function pinsKey(roomHash) {
+  return `room:${roomHash}:pins`;
+}
+
+/**
+ * Pin a message
+ * @param {string} roomHash
+ * @param {string} msgId
+ * @returns {Promise<"pinned"|"already_pinned"|"full">}
+ */
+export async function pinMessage(roomHash, msgId) {
+  const roomTtl = await redis.ttl(`room:${roomHash}`);
+  const result = await redis.eval(PIN_SCRIPT, 1, pinsKey(roomHash), msgId, Date.now(), MAX_PINS, roomTtl);
+
+  if (result === 1) return "pinned";
+  if (result === 0) return "already_pinned";
+  return "full";
+}
+
+/**
+ * Unpin a message
+ * @returns {Promise<boolean>} true if the message was pinned
+ */
+export async function unpinMessage(roomHash, msgId) {
+  return (await redis.zrem(pinsKey(roomHash), msgId)) > 0;
+}
+
+/**
+ * Load the pinned messages that are still in the history, oldest pin first
+ * @param {string} roomHash
+ * @returns {Promise<Array<Object>>} Stored records with pinnedAt added
+ */
+export async function loadPinnedMessages(roomHash) {
+  const entries = await redis.zrange(pinsKey(roomHash), 0, -1, "WITHSCORES");
+  if (entries.length === 0) return [];
+
+  const pinnedAt = new Map();
+  for (let i = 0; i < entries.length; i += 2) {
+    pinnedAt.set(entries[i], Number(entries[i + 1]));
+  }
+
+  const messages = await loadRecords(roomHash, [...pinnedAt.keys()]);
+  return messages
+    .filter(message => !message.deleted)
+    .map(message => ({ ...message, pinnedAt: pinnedAt.get(message.msgId) }));
+}
+
+/**
+ * Reactions: room:<hash>:reactions:<msgId> is a hash per message whose fields
+ * are JSON [senderId, reaction], so each sender holds each reaction once.
+ * room:<hash>:reacted is the set of msgIds with reactions, so the per-message
+ * hashes can be found when the room is burnt or extended.
+ */
+function reactionsKey(roomHash, msgId) {
+  return `room:${roomHash}:reactions:${msgId}`;
+}
+
+function reactedKey(roomHash) {
+  return `room:${roomHash}:reacted`;
+}
+
+// KEYS: reactions, reacted. Returns 1 if the reaction is now on, 0 if removed
+const TOGGLE_REACTION_SCRIPT = `
+if redis.call('HSETNX', KEYS[1], ARGV[1], ARGV[2]) == 0 then
+  redis.call('HDEL', KEYS[1], ARGV[1])
+  if redis.call('EXISTS', KEYS[1]) == 0 then
+    redis.call('SREM', KEYS[2], ARGV[3])
+  end
+  return 0
+end
+
+redis.call('SADD', KEYS[2], ARGV[3])
+if tonumber(ARGV[4]) > 0 then
+  redis.call('EXPIRE', KEYS[1], ARGV[4])
+  redis.call('EXPIRE', KEYS[2], ARGV[4])
+end
+return 1
+`;
+
+/**
+ * Toggle a sender's reaction on a message
+ * @param {string} roomHash
+ * @param {string} msgId
+ * @param {string} senderId
+ * @param {string} reaction - Opaque (usually encrypted) reaction payload
+ * @returns {Promise<boolean>} true if the reaction is now on, false if it was removed
+ */
+export async function toggleReaction(roomHash, msgId, senderId, reaction) {
+  const roomTtl = await redis.ttl(`room:${roomHash}`);
+  const result = await redis.eval(
+    TOGGLE_REACTION_SCRIPT,
+    2,
+    reactionsKey(roomHash, msgId),
+    reactedKey(roomHash),
+    JSON.stringify([senderId, reaction]),
+    Date.now(),
+    msgId,
+    roomTtl
+  );
+  return result === 1;
+}
+
+/**
+ * Group the reactions on some messages by message
+ * @param {string} roomHash
+ * @param {string[]} msgIds - Messages to load reactions for (usually one page)
+ * @returns {Promise<Map<string, Array<{senderId: string, reaction: string}>>>}
+ */
+export async function loadReactions(roomHash, msgIds) {
+  const byMessage = new Map();
+  if (msgIds.length === 0) return byMessage;
+
+  const pipeline = redis.pipeline();
+  for (const msgId of msgIds) {
+    pipeline.hkeys(reactionsKey(roomHash, msgId));
+  }
+  const results = await pipeline.exec();
+
+  msgIds.forEach((msgId, i) => {
+    const [, fields] = results[i];
+    if (!fields?.length) return;
+    byMessage.set(msgId, fields.map(field => {
+      const [senderId, reaction] = JSON.parse(field);
+      return { senderId, reaction };
+    }));
+  });
+
+  return byMessage;
+}
+
+/**
+ * Per-message keys of a room that roomScopedKeys can't list up front
+ * @param {string} roomHash
+ * @returns {Promise<string[]>}
+ */
+export async function messageScopedKeys(roomHash) {
+  const msgIds = await redis.smembers(reactedKey(roomHash));
+  return msgIds.map(msgId => reactionsKey(roomHash, msgId));
+}
+
+/**
+ * Claim disappearing messages whose time is up
+ * ZREM is the claim, so with several sweepers each message is handed out once
+ * @param {number} [batchSize]
+ * @returns {Promise<Array<{roomHash: string, msgId: string}>>}
+ */
+export async function claimExpiredMessages(batchSize = 100) {
+  const due = await redis.zrangebyscore(EXPIRING_KEY, "-inf", Date.now(), "LIMIT", 0, batchSize);
+  const claimed = [];
+
+  for (const member of due) {
+    if (await redis.zrem(EXPIRING_KEY, member)) {
+      const separator = member.indexOf(":");
+      claimed.push({
+        roomHash: member.slice(0, separator),
+        msgId: member.slice(separator + 1),
+      });
+    }
+  }
+
+  return claimed;
+}
+
+/**
+ * Turn a client cursor into a position, or null if it is unknown
+ * Timestamp-only positions sort before every message with that timestamp
+ * ("after" them uses the end of that millisecond instead)
+ */
+async function parseCursor(roomHash, cursor) {
+  if (typeof cursor === "number" || /^\d+$/.test(cursor)) {
+    return { createdAt: Number(cursor), msgId: null };
+  }
+
+  if (typeof cursor !== "string") return null;
+
+  const match = /^(\d+)_(.+)$/.exec(cursor);
+  if (match) {
+    return { createdAt: Number(match[1]), msgId: match[2] };
+  }
+
+  const message = await findMessage(roomHash, cursor);
+  return message ? { createdAt: message.createdAt, msgId: message.msgId } : null;
+}
+
+/**
+ * Exclusive ZRANGEBYLEX bound for a position within an index prefix
+ * @param {"before"|"after"} side
+ */
+function positionBound(prefix, position, side) {
+  if (position.msgId !== null) {
+    return `(${prefix}${indexEntry(position)}`;
+  }
+
+  const stamp = `${prefix}${String(position.createdAt).padStart(INDEX_WIDTH, "0")}_`;
+  return side === "before" ? `(${stamp}` : `(${stamp}${LEX_MAX}`;
+}
+
+/**
+ * Read one page of history relative to cursors
+ * - neither cursor: the newest `limit` messages
+ * - before: the `limit` messages just older than it (scrolling back)
+ * - after: the `limit` messages just newer than it (catching up)
+ * - threadId: only that thread (its first message and the replies in it)
+ * Disappearing messages that expired but haven't been swept yet are left out,
+ * so a page can come back a little short of `limit`
+ * @param {string} roomHash
+ * @param {{before?: string|number, after?: string|number, limit?: number, threadId?: string}} options
+ * @returns {Promise<Object>} { messages, limit, prevCursor, nextCursor, hasMoreBefore, hasMoreAfter }
+ *   or { error } when a cursor cannot be resolved
+ */
+export async function queryMessages(roomHash, { before, after, limit = DEFAULT_PAGE_SIZE, threadId } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const beforePos = before !== undefined && before !== null ? await parseCursor(roomHash, before) : undefined;
+  const afterPos = after !== undefined && after !== null ? await parseCursor(roomHash, after) : undefined;
+  if (beforePos === null || afterPos === null) {
+    return { error: "INVALID_CURSOR" };
+  }
+
+  const key = threadId ? threadIndexKey(roomHash) : indexKey(roomHash);
+  const prefix = threadId ? `${threadId}|` : "";
+  const lowest = prefix ? `[${prefix}` : "-";
+  const highest = prefix ? `(${prefix}${LEX_MAX}` : "+";
+
+  const min = afterPos ? positionBound(prefix, afterPos, "after") : lowest;
+  const max = beforePos ? positionBound(prefix, beforePos, "before") : highest;
+
+  // Catching up reads forward from the "after" cursor; otherwise read back from the end
+  const entries = afterPos
+    ? await redis.zrangebylex(key, min, max, "LIMIT", 0, pageSize)
+    : (await redis.zrevrangebylex(key, max, min, "LIMIT", 0, pageSize)).reverse();
+
+  const messages = await loadRecords(roomHash, entries.map(entry => entry.slice(prefix.length + INDEX_WIDTH + 1)));
+
+  const firstEntry = entries[0];
+  const lastEntry = entries[entries.length - 1];
+  const [older, newer] = await Promise.all([
+    firstEntry ? redis.zrevrangebylex(key, `(${firstEntry}`, lowest, "LIMIT", 0, 1) : [],
+    lastEntry ? redis.zrangebylex(key, `(${lastEntry}`, highest, "LIMIT", 0, 1) : [],
+  ]);
+
+  const first = messages[0];
+  const last = messages[messages.length - 1];
+
+  return {
+    messages,
+    limit: pageSize,
+    prevCursor: first ? formatCursor(first) : (before ?? null),
+    nextCursor: last ? formatCursor(last) : (after ?? null),
+    hasMoreBefore: older.length > 0,
+    hasMoreAfter: newer.length > 0,
+  };
+}
@@ -0,0 +1,53 @@
+import redis from "../redis/client.js";
+
+// room:<hash>:online is a hash of senderId -> number of open sockets,
+// so a member with several tabs/devices only leaves when the last one closes
+const DECREMENT_SCRIPT = `
+local count = redis.call('HINCRBY', KEYS[1], ARGV[1], -1)
+if count <= 0 then
+  redis.call('HDEL', KEYS[1], ARGV[1])
+end
+return count
+`;
+
+function onlineKey(roomHash) {
+  return `room:${roomHash}:online`;
+}
+
+/**
+ * Register an open socket for a member
+ * @param {string} roomHash
+ * @param {string} senderId
+ * @returns {Promise<boolean>} true if this is the member's first open socket
+ */
+export async function markOnline(roomHash, senderId) {
+  const key = onlineKey(roomHash);
+  const count = await redis.hincrby(key, senderId, 1);
+
+  const roomTtl = await redis.ttl(`room:${roomHash}`);
+  if (roomTtl > 0) {
+    await redis.expire(key, roomTtl);
+  }
+
+  return count === 1;
+}
+
+/**
+ * Release an open socket for a member
+ * @param {string} roomHash
+ * @param {string} senderId
+ * @returns {Promise<boolean>} true if the member has no open sockets left
+ */
+export async function markOffline(roomHash, senderId) {
+  const count = await redis.eval(DECREMENT_SCRIPT, 1, onlineKey(roomHash), senderId);
+  return count <= 0;
+}
+
+/**
+ * List the senderIds with at least one open socket in the room
+ * @param {string} roomHash
+ * @returns {Promise<string[]>}
+ */
+export async function getOnlineMembers(roomHash) {
+  return redis.hkeys(onlineKey(roomHash));
+}
@@ -0,0 +1,81 @@
+import redis from "../redis/client.js";
+
+export const RECEIPT_KINDS = ["delivered", "read"];
+
+// room:<hash>:receipts is a hash of senderId -> JSON { delivered, read },
+// each a high-water mark { msgId, createdAt, at }. Marks only move forward in
+// history order (createdAt, msgId), and reading a message implies delivery.
+const ADVANCE_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], ARGV[1])
+local state = {}
+if current then
+  state = cjson.decode(current)
+end
+
+local ts = tonumber(ARGV[3])
+local function behind(mark)
+  return not mark or mark.createdAt < ts or (mark.createdAt == ts and mark.msgId < ARGV[4])
+end
+
+if not behind(state[ARGV[2]]) then
+  return false
+end
+
+local mark = { msgId = ARGV[4], createdAt = ts, at = tonumber(ARGV[5]) }
+state[ARGV[2]] = mark
+if ARGV[2] == 'read' and behind(state.delivered) then
+  state.delivered = mark
+end
+
+local encoded = cjson.encode(state)
+redis.call('HSET', KEYS[1], ARGV[1], encoded)
+if tonumber(ARGV[6]) > 0 then
+  redis.call('EXPIRE', KEYS[1], ARGV[6])
+end
+return encoded
+`;
+
+function receiptsKey(roomHash) {
+  return `room:${roomHash}:receipts`;
+}
+
+/**
+ * Move a member's delivered/read watermark up to a message
+ * @param {string} roomHash
+ * @param {string} senderId - Member acknowledging
+ * @param {"delivered"|"read"} kind
+ * @param {{msgId: string, createdAt: number}} message - Stored message being acknowledged
+ * @returns {Promise<Object|null>} The member's new receipt state, or null if the mark didn't move
+ */
+export async function advanceReceipt(roomHash, senderId, kind, message) {
+  const roomTtl = await redis.ttl(`room:${roomHash}`);
+
+  const encoded = await redis.eval(
+    ADVANCE_SCRIPT,
+    1,
+    receiptsKey(roomHash),
+    senderId,
+    kind,
+    message.createdAt,
+    message.msgId,
+    Date.now(),
+    roomTtl
+  );
+
+  return encoded ? JSON.parse(encoded) : null;
+}
+
+/**
+ * Load every member's watermarks for a room
+ * @param {string} roomHash
+ * @returns {Promise<Object<string, Object>>} senderId -> { delivered?, read? }
+ */
+export async function loadReceipts(roomHash) {
+  const raw = await redis.hgetall(receiptsKey(roomHash));
+  const receipts = {};
+
+  for (const [senderId, state] of Object.entries(raw)) {
+    receipts[senderId] = JSON.parse(state);
+  }
+  return receipts;
+}
@@ -0,0 +1,75 @@
+import crypto from "crypto";
+
+/**
+ * Room code alphabets selectable per room (or as the server default)
+ * alphanumeric drops 0/O and 1/I so codes survive being read aloud
+ */
+export const CODE_ALPHABETS = {
+  digits: "0123456789",
+  alphanumeric: "23456789ABCDEFGHJKLMNPQRSTUVWXYZ",
+};
+
+const MIN_CODE_LENGTH = 6;
+const MAX_CODE_LENGTH = 16;
+
+const DEFAULT_ALPHABET = CODE_ALPHABETS[process.env.ROOM_CODE_ALPHABET] ? process.env.ROOM_CODE_ALPHABET : "digits";
+const DEFAULT_LENGTH = parseInt(process.env.ROOM_CODE_LENGTH) || 6;
+
+// A default outside the range would make every allocate_code request fail
+if (DEFAULT_LENGTH < MIN_CODE_LENGTH || DEFAULT_LENGTH > MAX_CODE_LENGTH) {
+  throw new Error(
+    `Invalid ROOM_CODE_LENGTH ${process.env.ROOM_CODE_LENGTH}: must be ${MIN_CODE_LENGTH}-${MAX_CODE_LENGTH}`
+  );
+}
+
+const ALL_CODE_CHARS = new Set(Object.values(CODE_ALPHABETS).join(""));
+
+/**
+ * Resolve per-request code options against the server defaults
+ * (missing or null options use the default)
+ * @param {number|null} [length]
+ * @param {string|null} [alphabet] - Key of CODE_ALPHABETS
+ * @returns {{length: number, alphabet: string}|null} null if the options are invalid
+ */
+export function resolveCodeOptions(length, alphabet) {
+  length ??= DEFAULT_LENGTH;
+  alphabet ??= DEFAULT_ALPHABET;
+  if (!Number.isInteger(length) || length < MIN_CODE_LENGTH || length > MAX_CODE_LENGTH) {
+    return null;
+  }
+  if (!Object.hasOwn(CODE_ALPHABETS, alphabet)) {
+    return null;
+  }
+  return { length, alphabet: CODE_ALPHABETS[alphabet] };
+}
+
+/**
+ * Generate a uniformly random room code
+ * @param {{length: number, alphabet: string}} options - From resolveCodeOptions
+ * @returns {string}
+ */
+export function generateRoomCode({ length, alphabet }) {
+  let code = "";
+  for (let i = 0; i < length; i++) {
+    code += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return code;
+}
+
+/**
+ * Normalise a code typed by a user (codes are case-insensitive)
+ * @param {*} code
+ * @returns {string|null} normalised code, or null if it cannot be a room code
+ */
+export function normalizeRoomCode(code) {
+  if (typeof code !== "string") return null;
+
+  const normalized = code.trim().toUpperCase();
+  if (normalized.length < MIN_CODE_LENGTH || normalized.length > MAX_CODE_LENGTH) {
+    return null;
+  }
+  for (const char of normalized) {
+    if (!ALL_CODE_CHARS.has(char)) return null;
+  }
+  return normalized;
+}
@@ -0,0 +1,91 @@
+import crypto from "crypto";
+import redis from "../redis/client.js";
+import { sha256 } from "../crypto/hash.js";
+
+// Sessions tie a WebSocket to one room and one senderId. /room/join and
+// /room/redeem hand out a single-use token once the join checks have passed;
+// join_room trades it in to bind the socket. Only sha256(token) is stored.
+export const SESSION_TOKEN_TTL = 60; // seconds to open the socket
+
+// senderIds are public (broadcasts, /room/members), so a senderId alone proves
+// nothing. The first join for a senderId claims it with a client-generated
+// member_secret; room:<hash>:member_keys keeps sha256(secret) per senderId and
+// every later join as that senderId must present the same secret.
+export const MIN_MEMBER_SECRET_LENGTH = 16;
+
+// Returns 1 = claimed now, 0 = already claimed (compare in JS, timing-safe)
+const CLAIM_SCRIPT = `
+local claimed = redis.call('HSETNX', KEYS[1], ARGV[1], ARGV[2])
+if claimed == 1 then
+  local ttl = redis.call('TTL', KEYS[2])
+  if ttl > 0 then
+    redis.call('EXPIRE', KEYS[1], ttl)
+  end
+end
+return claimed
+`;
+
+/**
+ * Claim a senderId in a room, or check the caller holds it
+ * @param {string} roomHash
+ * @param {string} senderId
+ * @param {string} memberSecret - Client-generated secret, never stored in the clear
+ * @returns {Promise<boolean>} true if the secret is (now) the one for this senderId
+ */
+export async function verifyMemberSecret(roomHash, senderId, memberSecret) {
+  const key = `room:${roomHash}:member_keys`;
+  const secretHash = sha256(memberSecret);
+
+  const claimed = await redis.eval(CLAIM_SCRIPT, 2, key, `room:${roomHash}`, senderId, secretHash);
+  if (claimed === 1) return true;
+
+  return matchesStoredSecret(key, senderId, secretHash);
+}
+
+/**
+ * Check the caller holds a senderId that is already claimed in a room (never claims)
+ * Claims are only made by joins that passed the passphrase check, so this also
+ * vouches that the caller got past it
+ * @param {string} roomHash
+ * @param {string} senderId
+ * @param {string} memberSecret
+ * @returns {Promise<boolean>}
+ */
+export async function checkMemberSecret(roomHash, senderId, memberSecret) {
+  if (typeof senderId !== "string" || typeof memberSecret !== "string") return false;
+  return matchesStoredSecret(`room:${roomHash}:member_keys`, senderId, sha256(memberSecret));
+}
+
+async function matchesStoredSecret(key, senderId, secretHash) {
+  const stored = await redis.hget(key, senderId);
+  if (!stored) return false;
+  return crypto.timingSafeEqual(Buffer.from(stored, "hex"), Buffer.from(secretHash, "hex"));
+}
+
+function sessionKey(token) {
+  return `session:${sha256(token)}`;
+}
+
+/**
+ * Issue a session token for a member who just passed the join checks
+ * @param {string} roomHash
+ * @param {string} senderId
+ * @returns {Promise<string>} token to send with join_room
+ */
+export async function issueSessionToken(roomHash, senderId) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await redis.set(sessionKey(token), JSON.stringify({ roomHash, senderId }), "EX", SESSION_TOKEN_TTL);
+  return token;
+}
+
+/**
+ * Trade a session token in (each token works once)
+ * @param {string} token
+ * @returns {Promise<{roomHash: string, senderId: string}|null>} null if unknown, used or expired
+ */
+export async function redeemSessionToken(token) {
+  if (!token || typeof token !== "string") return null;
+
+  const raw = await redis.getdel(sessionKey(token));
+  return raw ? JSON.parse(raw) : null;
+}
@@ -0,0 +1,158 @@
+import redis from "../redis/client.js";
+import { sha256 } from "../crypto/hash.js";
+
+// Guessing room codes: per-client and global limits on failed attempts
+const FREE_ATTEMPTS = 3;                // failures before backoff kicks in
+const MAX_FAILURES = 10;                // failures before a lockout
+const FAILURE_WINDOW = 15 * 60;         // seconds a failure is remembered
+const LOCKOUT_BASE = 60;                // first lockout, doubled on each repeat
+const LOCKOUT_MAX = 24 * 60 * 60;       // longest lockout and strike memory
+const GLOBAL_WINDOW = 60;               // seconds
+const GLOBAL_MAX_FAILURES = 600;        // failures per window across all clients
+const GLOBAL_KEY = "throttle:room:global";
+
+const METRIC_FAILURES = "metrics:security:room_access_failures";
+const METRIC_LOCKOUTS = "metrics:security:room_access_lockouts";
+
+// Every attempt is counted as a failure up front, in the same step that checks
+// the client isn't waiting, so parallel requests can't all slip past the check.
+// Attempts that turn out fine are handed back with releaseAttempt.
+// While failures across all clients are over the global limit, backoff starts at
+// a client's first outstanding failure and lasts at least until the global window
+// ends, so each guessing client gets one attempt per window; clients whose
+// attempts succeed hand theirs back and are never held up.
+// KEYS: lock, wait, fail, strikes, global
+// Returns seconds to wait (> 0), 0 if allowed, or -lockout if this attempt locked the client out
+const RESERVE_SCRIPT = `
+local wait = math.max(redis.call('TTL', KEYS[1]), redis.call('TTL', KEYS[2]))
+if wait > 0 then
+  return wait
+end
+
+local free = tonumber(ARGV[1])
+local globalWait = 0
+if tonumber(redis.call('GET', KEYS[5]) or '0') >= tonumber(ARGV[6]) then
+  free = 0
+  globalWait = redis.call('TTL', KEYS[5])
+end
+
+local failures = redis.call('INCR', KEYS[3])
+if failures == 1 then
+  redis.call('EXPIRE', KEYS[3], ARGV[3])
+end
+
+if failures > tonumber(ARGV[2]) then
+  local strikes = redis.call('INCR', KEYS[4])
+  redis.call('EXPIRE', KEYS[4], ARGV[5])
+  local lockout = math.min(tonumber(ARGV[4]) * 2 ^ (strikes - 1), tonumber(ARGV[5]))
+  redis.call('SET', KEYS[1], '1', 'EX', lockout)
+  redis.call('DEL', KEYS[3])
+  return -lockout
+end
+
+if failures > free then
+  redis.call('SET', KEYS[2], '1', 'EX', math.max(2 ^ (failures - free), globalWait))
+end
+return 0
+`;
+
+// KEYS: fail, wait
+const RELEASE_SCRIPT = `
+local failures = redis.call('DECR', KEYS[1])
+if failures <= 0 then
+  redis.call('DEL', KEYS[1])
+end
+if failures <= tonumber(ARGV[1]) then
+  redis.call('DEL', KEYS[2])
+end
+return failures
+`;
+
+// Client addresses are only ever stored hashed
+function clientKey(name, clientAddress) {
+  return `throttle:room:${name}:${sha256(String(clientAddress))}`;
+}
+
+/**
+ * Start a room access attempt (room code, passphrase, invite, session token)
+ * Applies exponential backoff, then lockouts that double on every repeat, and
+ * the global backoff while failures across all clients are over the limit
+ * @param {string} clientAddress - Usually req.ip
+ * @returns {Promise<number>} seconds to wait, 0 if the attempt may go ahead
+ */
+export async function reserveAttempt(clientAddress) {
+  const result = await redis.eval(
+    RESERVE_SCRIPT,
+    5,
+    clientKey("lock", clientAddress),
+    clientKey("wait", clientAddress),
+    clientKey("fail", clientAddress),
+    clientKey("strikes", clientAddress),
+    GLOBAL_KEY,
+    FREE_ATTEMPTS,
+    MAX_FAILURES,
+    FAILURE_WINDOW,
+    LOCKOUT_BASE,
+    LOCKOUT_MAX,
+    GLOBAL_MAX_FAILURES
+  );
+
+  if (result < 0) {
+    await redis.incr(METRIC_LOCKOUTS);
+    return -result;
+  }
+  return result;
+}
+
+/**
+ * Hand back an attempt that didn't fail (right code, or refused for another reason)
+ * @param {string} clientAddress - Usually req.ip
+ */
+export async function releaseAttempt(clientAddress) {
+  await redis.eval(
+    RELEASE_SCRIPT,
+    2,
+    clientKey("fail", clientAddress),
+    clientKey("wait", clientAddress),
+    FREE_ATTEMPTS
+  );
+}
+
+/**
+ * Record that a reserved attempt failed (unknown code, wrong passphrase, bad invite)
+ * The client was already counted by reserveAttempt; this feeds the global limit
+ */
+export async function recordFailedAttempt() {
+  await redis.incr(METRIC_FAILURES);
+
+  const globalFailures = await redis.incr(GLOBAL_KEY);
+  if (globalFailures === 1) {
+    await redis.expire(GLOBAL_KEY, GLOBAL_WINDOW);
+  }
+}
+
+/**
+ * Send the standard throttled response
+ * @param {Object} res - Express response
+ * @param {number} retryAfter - Seconds to wait
+ */
+export function sendTooManyAttempts(res, retryAfter) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: "TOO_MANY_ATTEMPTS",
+    retry_after: retryAfter,
+  });
+}
+
+/**
+ * Security counters for monitoring
+ * @returns {Promise<Object>}
+ */
+export async function getSecurityMetrics() {
+  const [failures, lockouts] = await redis.mget(METRIC_FAILURES, METRIC_LOCKOUTS);
+  return {
+    room_access_failures: parseInt(failures) || 0,
+    room_access_lockouts: parseInt(lockouts) || 0,
+  };
+}
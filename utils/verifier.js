@@ -0,0 +1,103 @@
+import crypto from "crypto";
+import redis from "../redis/client.js";
+import { pbkdf2 } from "../crypto/hkdf.js";
+import { sha256 } from "../crypto/hash.js";
+import { getEpochs, getCurrentEpoch } from "./epochs.js";
+
+/**
+ * Room verifiers replace the stored plaintext room code.
+ *
+ * A verifier is the 32-byte HMAC key clients use to authenticate uploads:
+ *   PBKDF2-SHA256(room_code, room_salt, 100000 iterations, 32 bytes)
+ * New clients derive it locally and register it (base64) at creation time,
+ * so the code never leaves the device. Rooms created with a plaintext code
+ * have the same key derived server-side and the code discarded.
+ */
+
+const VERIFIER_BYTES = 32;
+
+/**
+ * Check a client-supplied verifier is base64 for a 32-byte key
+ * @param {string} verifier
+ * @returns {boolean}
+ */
+export function isValidVerifier(verifier) {
+  if (typeof verifier !== "string" || !/^[A-Za-z0-9+/]+={0,2}$/.test(verifier)) {
+    return false;
+  }
+  return Buffer.from(verifier, "base64").length === VERIFIER_BYTES;
+}
+
+/**
+ * Derive the verifier for a room code, exactly as legacy clients key their HMACs
+ * @param {string} roomCode - Plaintext room code
+ * @param {string} roomSalt - Base64 room salt
+ * @returns {string} base64 verifier
+ */
+export function deriveVerifier(roomCode, roomSalt) {
+  return pbkdf2(roomCode, Buffer.from(roomSalt, "base64")).toString("base64");
+}
+
+/**
+ * Replace a legacy room's plaintext code with its verifier, in place and in Redis
+ * @param {string} roomHash
+ * @param {Object} roomData - Parsed room:<hash> metadata (mutated)
+ * @returns {Promise<boolean>} true if the room was migrated
+ */
+export async function migrateRoomCode(roomHash, roomData) {
+  if (!roomData.room_code) return false;
+
+  if (!roomData.room_verifier) {
+    roomData.room_verifier = deriveVerifier(roomData.room_code, roomData.room_salt);
+  }
+  delete roomData.room_code;
+
+  await redis.set(`room:${roomHash}`, JSON.stringify(roomData), "KEEPTTL");
+  return true;
+}
+
+/**
+ * Get the HMAC key for a room, migrating legacy rooms on first use
+ * @param {string} roomHash
+ * @param {Object} roomData - Parsed room:<hash> metadata
+ * @param {number} [epoch] - Key epoch (defaults to the current one)
+ * @returns {Promise<Buffer|null>} null if the room has no verifier for that epoch
+ */
+export async function getRoomVerifier(roomHash, roomData, epoch = getCurrentEpoch(roomData)) {
+  await migrateRoomCode(roomHash, roomData);
+
+  const entry = getEpochs(roomData).find(e => e.epoch === epoch);
+  if (!entry?.room_verifier) return null;
+  return Buffer.from(entry.room_verifier, "base64");
+}
+
+/**
+ * Optional room passphrase (second factor on top of the room code).
+ *
+ * Clients derive a proof as base64(PBKDF2-SHA256(passphrase, passphrase_salt)) and
+ * register it at creation as passphrase_verifier. The server keeps only a SHA-256
+ * of that proof, so a Redis dump cannot be replayed as a join proof.
+ */
+
+/**
+ * Hash a passphrase proof for storage
+ * @param {string} proof - base64 proof derived by the client
+ * @returns {string} hex SHA-256
+ */
+export function hashPassphraseProof(proof) {
+  return sha256(proof);
+}
+
+/**
+ * Compare a join proof against the room's stored passphrase hash
+ * @param {Object} roomData - Parsed room:<hash> metadata
+ * @param {string} proof - base64 proof sent by the joining client
+ * @returns {boolean}
+ */
+export function checkPassphraseProof(roomData, proof) {
+  if (typeof proof !== "string" || !proof) return false;
+
+  const expected = Buffer.from(roomData.passphrase_hash, "hex");
+  const actual = Buffer.from(hashPassphraseProof(proof), "hex");
+  return crypto.timingSafeEqual(expected, actual);
+}